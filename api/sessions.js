@@ -0,0 +1,16 @@
+import { createSessionHandler, listSessionsHandler } from "../backend/llm-proxy.js";
+
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    await listSessionsHandler(req, res);
+    return;
+  }
+
+  if (req.method === "POST") {
+    await createSessionHandler(req, res);
+    return;
+  }
+
+  res.setHeader("Allow", "GET, POST");
+  res.status(405).json({ error: "Method Not Allowed" });
+}
@@ -0,0 +1,25 @@
+import {
+  deleteSessionHandler,
+  getSessionHandler,
+  updateSessionHandler
+} from "../../backend/llm-proxy.js";
+
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    await getSessionHandler(req, res);
+    return;
+  }
+
+  if (req.method === "PUT") {
+    await updateSessionHandler(req, res);
+    return;
+  }
+
+  if (req.method === "DELETE") {
+    await deleteSessionHandler(req, res);
+    return;
+  }
+
+  res.setHeader("Allow", "GET, PUT, DELETE");
+  res.status(405).json({ error: "Method Not Allowed" });
+}
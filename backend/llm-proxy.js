@@ -1,67 +1,86 @@
+import { randomUUID } from "node:crypto";
+
 import Anthropic from "@anthropic-ai/sdk";
 
+import { loadProviderCatalog } from "./provider-config.js";
+import {
+  formatSceneSummary,
+  formatSelection,
+  normalizeSceneSummary,
+  normalizeSelection
+} from "./scene-context.js";
+import { sceneTools, toolSystemPrompt } from "./scene-tools.js";
+import { createSessionStore, isValidSessionId } from "./session-store.js";
+
 const NO_PROVIDERS_WARNING =
   "No API keys found in environment. Requests must include a provider API key.";
 
-const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com";
-const DEFAULT_ANTHROPIC_BASE_URL = "https://api.anthropic.com";
 const DEFAULT_ANTHROPIC_VERSION = "2023-06-01";
 
 const systemPrompt = [
   "You are a Three.js scene command assistant.",
-  "You generate JavaScript meant to run inside a sandboxed function with scene, THREE, camera, renderer in scope.",
+  "You generate JavaScript meant to run inside a sandboxed function with scene, THREE, camera, renderer, assets, physics in scope.",
   "Return JavaScript in fenced code blocks whenever scene changes are requested.",
   "Rules:",
   "- Do not include imports, exports, or module syntax.",
   "- Use MeshStandardMaterial unless the user explicitly asks otherwise.",
   "- Give created objects clear, stable .name values so they can be referenced later.",
   "- Reuse or remove objects with scene.getObjectByName when appropriate.",
-  "- For animations, attach userData.update = (time) => { ... }.",
+  "- Selected objects without a name are listed with their path, such as scene.children[3]; reach them through it.",
+  "- For animations, attach userData.update = (time, delta, frame) => { ... }. time is the scene time in seconds, delta the seconds since the last frame (0 while the user scrubs) and frame the frame count.",
+  "- The user can pause, slow down and scrub scene time, so derive motion from time (or delta) rather than Date.now() or performance.now().",
   "- If asked for a teapot, use THREE.TeapotGeometry (it is available in runtime context).",
+  "- Code runs in an async function, so top-level await is allowed; await loaders with loadAsync.",
+  "- THREE also provides GLTFLoader, TextureLoader, FontLoader, TextGeometry, HDRLoader (alias RGBELoader), RoundedBoxGeometry and BufferGeometryUtils.",
+  "- For 3D text, load THREE.DEFAULT_FONT_URL with new THREE.FontLoader().loadAsync(...).",
+  "- The sandbox has no DOM or network access: DOM objects such as renderer.domElement or texture.image are off limits, and loaders only load same-origin, data: and blob: URLs.",
+  "- Files the user imported are listed as assets. assets.get(name) returns a new copy of a model (with its .animations) or the shared texture; add models with scene.add and name them.",
+  "- For falling, colliding or stacking objects, use rigid-body physics instead of userData.update math. The groundPlane is already a static collider.",
+  "- physics.add(mesh, { shape, mass, friction, restitution, size, radius, velocity, angularVelocity }) links a body to an object after it is positioned. shape is \"box\" (default), \"sphere\", \"plane\" or \"trimesh\"; sizes default to the geometry bounds; mass 0 makes a static body; planes and trimeshes are always static, and trimeshes only collide with spheres.",
+  "- physics also provides remove(mesh), has(mesh), getBody(mesh) (a cannon-es Body), setVelocity(mesh, [x, y, z]), applyImpulse(mesh, [x, y, z]), setGravity([x, y, z]) and CANNON (the cannon-es namespace). Physics runs on scene time, so it pauses with the animation controls.",
   "- Do not create a new render loop; the app already renders each frame.",
   "- Keep code concise and executable as-is."
 ].join("\n");
 
+const SCENE_PROTOCOLS = new Set(["code", "tools"]);
+const LOG_ROLES = new Set(["user", "assistant", "error"]);
+const MAX_SESSION_NAME_LENGTH = 120;
+const MAX_SESSION_LOG_ENTRIES = 500;
+
 let cachedRuntime = null;
+let cachedSessionStore = null;
 
 function createRuntimeState() {
-  const clients = {
-    anthropic: null
-  };
+  const clients = new Map();
+  const { providerCatalog, defaultProvider: configuredDefaultProvider } = loadProviderCatalog();
 
-  const providerCatalog = {
-    codex: {
-      id: "codex",
-      label: "Codex",
-      type: "openai",
-      model: "gpt-5.2-codex",
-      envVar: "OPENAI_API_KEY"
-    },
-    "claude-code": {
-      id: "claude-code",
-      label: "Claude Code",
-      type: "anthropic",
-      model: "claude-opus-4-6",
-      envVar: "ANTHROPIC_API_KEY"
+  for (const provider of Object.values(providerCatalog)) {
+    const envApiKey = resolveApiKey(provider.envVar ? process.env[provider.envVar] : "");
+    if (provider.type === "anthropic" && envApiKey) {
+      clients.set(provider.id, createAnthropicClient(provider, envApiKey));
     }
-  };
-
-  if (process.env.ANTHROPIC_API_KEY) {
-    clients.anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
   }
 
   const availableProviders = Object.values(providerCatalog).map((provider) => ({
     id: provider.id,
     label: provider.label,
-    envConfigured: Boolean(process.env[provider.envVar])
+    type: provider.type,
+    model: provider.model,
+    maxTokens: provider.maxTokens,
+    temperature: provider.temperature,
+    supportsImages: provider.supportsImages,
+    requiresApiKey: provider.requiresApiKey,
+    envConfigured: Boolean(provider.envVar && resolveApiKey(process.env[provider.envVar]))
   }));
 
+  const isReady = (provider) => provider.envConfigured || !provider.requiresApiKey;
   const defaultProvider =
-    availableProviders.find((provider) => provider.envConfigured)?.id ||
+    configuredDefaultProvider ||
+    availableProviders.find(isReady)?.id ||
     availableProviders[0]?.id ||
     null;
 
-  if (!availableProviders.some((provider) => provider.envConfigured)) {
+  if (!availableProviders.some(isReady)) {
     console.warn(NO_PROVIDERS_WARNING);
   }
 
@@ -92,6 +111,60 @@ function sendJson(res, statusCode, payload) {
   res.end(JSON.stringify(payload));
 }
 
+function startEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") {
+    res.flushHeaders();
+  }
+
+  return (event) => {
+    if (!res.writableEnded) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+}
+
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  function* drainEvents(flush) {
+    buffer = buffer.replace(/\r\n/g, "\n");
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1 || (flush && buffer.trim())) {
+      const rawEvent = boundary === -1 ? buffer : buffer.slice(0, boundary);
+      buffer = boundary === -1 ? "" : buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+
+      if (data && data !== "[DONE]") {
+        try {
+          yield JSON.parse(data);
+        } catch {
+          // Ignore keep-alive comments and malformed upstream events.
+        }
+      }
+
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    yield* drainEvents(false);
+  }
+
+  buffer += decoder.decode();
+  yield* drainEvents(true);
+}
+
 function parseScreenshotDataUrl(value) {
   if (typeof value !== "string" || value.length === 0) {
     return null;
@@ -106,27 +179,31 @@ function parseScreenshotDataUrl(value) {
   return { mimeType, base64 };
 }
 
+function isHistoryEntry(entry) {
+  return (
+    entry &&
+    (entry.role === "user" || entry.role === "assistant") &&
+    typeof entry.content === "string" &&
+    entry.content.trim().length > 0
+  );
+}
+
 function normalizeHistory(history) {
   if (!Array.isArray(history)) {
     return [];
   }
 
-  return history
-    .filter((entry) => {
-      return (
-        entry &&
-        (entry.role === "user" || entry.role === "assistant") &&
-        typeof entry.content === "string" &&
-        entry.content.trim().length > 0
-      );
-    })
-    .slice(-20);
+  return history.filter(isHistoryEntry).slice(-20);
+}
+
+function getSystemPrompt(conversation) {
+  return conversation.protocol === "tools" ? toolSystemPrompt : systemPrompt;
 }
 
-function toOpenAIPrompt(history, message, hasScreenshot) {
-  const normalizedHistory = normalizeHistory(history);
+function toOpenAIPrompt(conversation) {
+  const normalizedHistory = normalizeHistory(conversation.history);
   const lines = [
-    systemPrompt,
+    getSystemPrompt(conversation),
     "",
     "Conversation so far (oldest to newest):"
   ];
@@ -137,20 +214,26 @@ function toOpenAIPrompt(history, message, hasScreenshot) {
   });
 
   lines.push("");
-  if (hasScreenshot) {
+  if (conversation.screenshot) {
     lines.push("A screenshot of the current Three.js scene is attached for this turn.");
     lines.push("");
   }
 
+  if (conversation.sceneContext) {
+    lines.push(conversation.sceneContext);
+    lines.push("");
+  }
+
   lines.push("Current user request:");
-  lines.push(`User: ${message}`);
+  lines.push(`User: ${conversation.message}`);
   lines.push("Assistant:");
 
   return lines.join("\n");
 }
 
-function toAnthropicMessages(history, message, screenshot) {
-  const normalizedHistory = normalizeHistory(history).map((entry) => ({
+function toAnthropicMessages(conversation) {
+  const { screenshot } = conversation;
+  const normalizedHistory = normalizeHistory(conversation.history).map((entry) => ({
     role: entry.role,
     content: entry.content
   }));
@@ -167,36 +250,119 @@ function toAnthropicMessages(history, message, screenshot) {
     });
   }
 
-  currentUserContent.push({ type: "text", text: message });
+  if (conversation.sceneContext) {
+    currentUserContent.push({ type: "text", text: conversation.sceneContext });
+  }
+
+  currentUserContent.push({ type: "text", text: conversation.message });
   return [...normalizedHistory, { role: "user", content: currentUserContent }];
 }
 
-function getOpenAIResponsesUrl() {
-  const configuredBaseUrl =
-    typeof process.env.OPENAI_BASE_URL === "string" && process.env.OPENAI_BASE_URL.trim()
-      ? process.env.OPENAI_BASE_URL.trim()
-      : DEFAULT_OPENAI_BASE_URL;
+function toOpenAIChatMessages(conversation) {
+  const { screenshot } = conversation;
+  const normalizedHistory = normalizeHistory(conversation.history).map((entry) => ({
+    role: entry.role,
+    content: entry.content
+  }));
 
-  const normalizedBaseUrl = configuredBaseUrl.replace(/\/+$/, "");
-  if (normalizedBaseUrl.endsWith("/v1")) {
-    return `${normalizedBaseUrl}/responses`;
+  const userText = conversation.sceneContext
+    ? `${conversation.sceneContext}\n\n${conversation.message}`
+    : conversation.message;
+  const currentUserContent = [{ type: "text", text: userText }];
+  if (screenshot) {
+    currentUserContent.push({
+      type: "image_url",
+      image_url: { url: `data:${screenshot.mimeType};base64,${screenshot.base64}` }
+    });
   }
 
-  return `${normalizedBaseUrl}/v1/responses`;
+  return [
+    { role: "system", content: getSystemPrompt(conversation) },
+    ...normalizedHistory,
+    { role: "user", content: screenshot ? currentUserContent : userText }
+  ];
+}
+
+function toAnthropicTools() {
+  return sceneTools.map((tool) => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters
+  }));
 }
 
-function getAnthropicModelsUrl() {
-  const configuredBaseUrl =
-    typeof process.env.ANTHROPIC_BASE_URL === "string" && process.env.ANTHROPIC_BASE_URL.trim()
-      ? process.env.ANTHROPIC_BASE_URL.trim()
-      : DEFAULT_ANTHROPIC_BASE_URL;
+function toOpenAIResponseTools() {
+  return sceneTools.map((tool) => ({
+    type: "function",
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters,
+    strict: false
+  }));
+}
 
-  const normalizedBaseUrl = configuredBaseUrl.replace(/\/+$/, "");
+function toOpenAIChatTools() {
+  return sceneTools.map((tool) => ({
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+function parseToolArguments(rawArguments) {
+  if (typeof rawArguments !== "string" || !rawArguments.trim()) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(rawArguments);
+  } catch {
+    return null;
+  }
+}
+
+function resolveApiUrl(baseUrl, resourcePath) {
+  const normalizedBaseUrl = baseUrl.replace(/\/+$/, "");
   if (normalizedBaseUrl.endsWith("/v1")) {
-    return `${normalizedBaseUrl}/models`;
+    return `${normalizedBaseUrl}/${resourcePath}`;
   }
 
-  return `${normalizedBaseUrl}/v1/models`;
+  return `${normalizedBaseUrl}/v1/${resourcePath}`;
+}
+
+function getOpenAIResponsesUrl(providerConfig) {
+  return resolveApiUrl(providerConfig.baseUrl, "responses");
+}
+
+function getOpenAIChatCompletionsUrl(providerConfig) {
+  return resolveApiUrl(providerConfig.baseUrl, "chat/completions");
+}
+
+function getOpenAIModelsUrl(providerConfig) {
+  return resolveApiUrl(providerConfig.baseUrl, "models");
+}
+
+function getAnthropicModelsUrl(providerConfig) {
+  return resolveApiUrl(providerConfig.baseUrl, "models");
+}
+
+function getOpenAIHeaders(apiKey) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return headers;
+}
+
+async function readOpenAIError(response) {
+  const responsePayload = await response.json().catch(() => null);
+  return typeof responsePayload?.error?.message === "string"
+    ? responsePayload.error.message
+    : `OpenAI request failed with status ${response.status}.`;
 }
 
 function extractOpenAIText(responsePayload) {
@@ -236,6 +402,31 @@ function extractOpenAIText(responsePayload) {
   return textParts.join("\n\n").trim();
 }
 
+function extractOpenAIToolCalls(responsePayload) {
+  if (!Array.isArray(responsePayload?.output)) {
+    return [];
+  }
+
+  return responsePayload.output
+    .filter((item) => item?.type === "function_call" && typeof item.name === "string")
+    .map((item) => ({ name: item.name, input: parseToolArguments(item.arguments) }));
+}
+
+function extractOpenAIChatText(content) {
+  if (typeof content === "string") {
+    return content.trim();
+  }
+
+  if (!Array.isArray(content)) {
+    return "";
+  }
+
+  return content
+    .map((part) => (part?.type === "text" && typeof part.text === "string" ? part.text : ""))
+    .join("")
+    .trim();
+}
+
 function resolveApiKey(value) {
   if (typeof value !== "string") {
     return "";
@@ -244,40 +435,35 @@ function resolveApiKey(value) {
   return value.trim();
 }
 
-function getAnthropicClient(runtime, apiKey) {
-  if (apiKey === process.env.ANTHROPIC_API_KEY && runtime.clients.anthropic) {
-    return runtime.clients.anthropic;
-  }
-
-  return new Anthropic({ apiKey });
+function createAnthropicClient(providerConfig, apiKey) {
+  return new Anthropic({
+    apiKey,
+    baseURL: providerConfig.baseUrl.replace(/\/+$/, "").replace(/\/v1$/, "")
+  });
 }
 
-function getOpenAIModelsUrl() {
-  const responsesUrl = getOpenAIResponsesUrl();
-  return responsesUrl.replace(/\/responses$/, "/models");
+function getAnthropicClient(runtime, providerConfig, apiKey) {
+  const envApiKey = resolveApiKey(providerConfig.envVar ? process.env[providerConfig.envVar] : "");
+  if (apiKey === envApiKey && runtime.clients.has(providerConfig.id)) {
+    return runtime.clients.get(providerConfig.id);
+  }
+
+  return createAnthropicClient(providerConfig, apiKey);
 }
 
-async function validateOpenAIKey(apiKey) {
-  const response = await fetch(getOpenAIModelsUrl(), {
+async function validateOpenAIKey(providerConfig, apiKey) {
+  const response = await fetch(getOpenAIModelsUrl(providerConfig), {
     method: "GET",
-    headers: {
-      Authorization: `Bearer ${apiKey}`
-    }
+    headers: getOpenAIHeaders(apiKey)
   });
 
-  const responsePayload = await response.json().catch(() => null);
   if (!response.ok) {
-    const upstreamMessage =
-      typeof responsePayload?.error?.message === "string"
-        ? responsePayload.error.message
-        : `OpenAI request failed with status ${response.status}.`;
-
-    throw new Error(upstreamMessage);
+    throw new Error(await readOpenAIError(response));
   }
 }
 
-async function validateAnthropicKey(apiKey) {
-  const response = await fetch(getAnthropicModelsUrl(), {
+async function validateAnthropicKey(providerConfig, apiKey) {
+  const response = await fetch(getAnthropicModelsUrl(providerConfig), {
     method: "GET",
     headers: {
       "x-api-key": apiKey,
@@ -296,11 +482,12 @@ async function validateAnthropicKey(apiKey) {
   }
 }
 
-async function callOpenAI(message, history, screenshot, model, apiKey) {
+function createOpenAIRequestBody(conversation, providerConfig) {
+  const { screenshot } = conversation;
   const userContent = [
     {
       type: "input_text",
-      text: toOpenAIPrompt(history, message, Boolean(screenshot))
+      text: toOpenAIPrompt(conversation)
     }
   ];
 
@@ -311,52 +498,315 @@ async function callOpenAI(message, history, screenshot, model, apiKey) {
     });
   }
 
-  const response = await fetch(getOpenAIResponsesUrl(), {
+  const requestBody = {
+    model: providerConfig.model,
+    input: [
+      {
+        role: "user",
+        content: userContent
+      }
+    ]
+  };
+
+  if (conversation.protocol === "tools") {
+    requestBody.tools = toOpenAIResponseTools();
+  }
+
+  if (providerConfig.maxTokens !== null) {
+    requestBody.max_output_tokens = providerConfig.maxTokens;
+  }
+
+  if (providerConfig.temperature !== null) {
+    requestBody.temperature = providerConfig.temperature;
+  }
+
+  return requestBody;
+}
+
+function createOpenAIChatRequestBody(conversation, providerConfig) {
+  const requestBody = {
+    model: providerConfig.model,
+    messages: toOpenAIChatMessages(conversation)
+  };
+
+  if (conversation.protocol === "tools") {
+    requestBody.tools = toOpenAIChatTools();
+  }
+
+  if (providerConfig.maxTokens !== null) {
+    requestBody.max_tokens = providerConfig.maxTokens;
+  }
+
+  if (providerConfig.temperature !== null) {
+    requestBody.temperature = providerConfig.temperature;
+  }
+
+  return requestBody;
+}
+
+async function callOpenAI(conversation, providerConfig, apiKey) {
+  const response = await fetch(getOpenAIResponsesUrl(providerConfig), {
     method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model,
-      input: [
-        {
-          role: "user",
-          content: userContent
-        }
-      ]
-    })
+    headers: getOpenAIHeaders(apiKey),
+    body: JSON.stringify(createOpenAIRequestBody(conversation, providerConfig))
   });
 
-  const responsePayload = await response.json().catch(() => null);
   if (!response.ok) {
-    const upstreamMessage =
-      typeof responsePayload?.error?.message === "string"
-        ? responsePayload.error.message
-        : `OpenAI request failed with status ${response.status}.`;
+    throw new Error(await readOpenAIError(response));
+  }
 
-    throw new Error(upstreamMessage);
+  const responsePayload = await response.json().catch(() => null);
+  return {
+    text: extractOpenAIText(responsePayload),
+    operations: extractOpenAIToolCalls(responsePayload)
+  };
+}
+
+async function streamOpenAI(conversation, providerConfig, apiKey, onDelta, signal) {
+  const response = await fetch(getOpenAIResponsesUrl(providerConfig), {
+    method: "POST",
+    headers: { ...getOpenAIHeaders(apiKey), Accept: "text/event-stream" },
+    body: JSON.stringify({
+      ...createOpenAIRequestBody(conversation, providerConfig),
+      stream: true
+    }),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(await readOpenAIError(response));
   }
 
-  return extractOpenAIText(responsePayload);
+  let streamedText = "";
+  for await (const event of readServerSentEvents(response.body)) {
+    if (event?.type === "response.output_text.delta" && typeof event.delta === "string") {
+      streamedText += event.delta;
+      onDelta(event.delta);
+      continue;
+    }
+
+    if (event?.type === "response.completed") {
+      return {
+        text: extractOpenAIText(event.response) || streamedText.trim(),
+        operations: extractOpenAIToolCalls(event.response)
+      };
+    }
+
+    if (event?.type === "response.failed" || event?.type === "error") {
+      const upstreamMessage =
+        event.response?.error?.message || event.message || "OpenAI stream failed.";
+      throw new Error(upstreamMessage);
+    }
+  }
+
+  return { text: streamedText.trim(), operations: [] };
+}
+
+async function callOpenAIChat(conversation, providerConfig, apiKey) {
+  const response = await fetch(getOpenAIChatCompletionsUrl(providerConfig), {
+    method: "POST",
+    headers: getOpenAIHeaders(apiKey),
+    body: JSON.stringify(createOpenAIChatRequestBody(conversation, providerConfig))
+  });
+
+  if (!response.ok) {
+    throw new Error(await readOpenAIError(response));
+  }
+
+  const responsePayload = await response.json().catch(() => null);
+  const responseMessage = responsePayload?.choices?.[0]?.message;
+  const toolCalls = Array.isArray(responseMessage?.tool_calls) ? responseMessage.tool_calls : [];
+  return {
+    text: extractOpenAIChatText(responseMessage?.content),
+    operations: toolCalls
+      .filter((call) => typeof call?.function?.name === "string")
+      .map((call) => ({
+        name: call.function.name,
+        input: parseToolArguments(call.function.arguments)
+      }))
+  };
 }
 
-async function callAnthropic(message, history, screenshot, model, runtime, apiKey) {
-  const client = getAnthropicClient(runtime, apiKey);
-  const response = await client.messages.create({
-    model,
-    system: systemPrompt,
-    max_tokens: 1200,
-    messages: toAnthropicMessages(history, message, screenshot)
+async function streamOpenAIChat(conversation, providerConfig, apiKey, onDelta, signal) {
+  const response = await fetch(getOpenAIChatCompletionsUrl(providerConfig), {
+    method: "POST",
+    headers: { ...getOpenAIHeaders(apiKey), Accept: "text/event-stream" },
+    body: JSON.stringify({
+      ...createOpenAIChatRequestBody(conversation, providerConfig),
+      stream: true
+    }),
+    signal
   });
 
-  return response.content
+  if (!response.ok || !response.body) {
+    throw new Error(await readOpenAIError(response));
+  }
+
+  let streamedText = "";
+  const toolCallParts = [];
+  for await (const event of readServerSentEvents(response.body)) {
+    if (event?.error) {
+      throw new Error(event.error.message || "Chat completion stream failed.");
+    }
+
+    const delta = event?.choices?.[0]?.delta;
+    if (typeof delta?.content === "string" && delta.content.length > 0) {
+      streamedText += delta.content;
+      onDelta(delta.content);
+    }
+
+    for (const call of Array.isArray(delta?.tool_calls) ? delta.tool_calls : []) {
+      const index = typeof call.index === "number" ? call.index : toolCallParts.length;
+      toolCallParts[index] ||= { name: "", arguments: "" };
+      toolCallParts[index].name += call.function?.name || "";
+      toolCallParts[index].arguments += call.function?.arguments || "";
+    }
+  }
+
+  return {
+    text: streamedText.trim(),
+    operations: toolCallParts
+      .filter((part) => part && part.name)
+      .map((part) => ({ name: part.name, input: parseToolArguments(part.arguments) }))
+  };
+}
+
+function extractAnthropicText(message) {
+  return message.content
     .filter((item) => item.type === "text")
     .map((item) => item.text)
     .join("\n")
     .trim();
 }
 
+function extractAnthropicToolCalls(message) {
+  return message.content
+    .filter((item) => item.type === "tool_use")
+    .map((item) => ({ name: item.name, input: item.input ?? {} }));
+}
+
+function createAnthropicRequest(conversation, providerConfig) {
+  const request = {
+    model: providerConfig.model,
+    system: getSystemPrompt(conversation),
+    max_tokens: providerConfig.maxTokens,
+    messages: toAnthropicMessages(conversation)
+  };
+
+  if (conversation.protocol === "tools") {
+    request.tools = toAnthropicTools();
+  }
+
+  if (providerConfig.temperature !== null) {
+    request.temperature = providerConfig.temperature;
+  }
+
+  return request;
+}
+
+async function callAnthropic(conversation, providerConfig, runtime, apiKey) {
+  const client = getAnthropicClient(runtime, providerConfig, apiKey);
+  const response = await client.messages.create(
+    createAnthropicRequest(conversation, providerConfig)
+  );
+
+  return {
+    text: extractAnthropicText(response),
+    operations: extractAnthropicToolCalls(response)
+  };
+}
+
+async function streamAnthropic(conversation, providerConfig, runtime, apiKey, onDelta, signal) {
+  const client = getAnthropicClient(runtime, providerConfig, apiKey);
+  const stream = client.messages.stream(createAnthropicRequest(conversation, providerConfig), {
+    signal
+  });
+
+  stream.on("text", (delta) => {
+    onDelta(delta);
+  });
+
+  const finalMessage = await stream.finalMessage();
+  return {
+    text: extractAnthropicText(finalMessage),
+    operations: extractAnthropicToolCalls(finalMessage)
+  };
+}
+
+function callProvider(conversation, providerConfig, runtime, apiKey) {
+  if (providerConfig.type === "anthropic") {
+    return callAnthropic(conversation, providerConfig, runtime, apiKey);
+  }
+
+  if (providerConfig.type === "openai-chat") {
+    return callOpenAIChat(conversation, providerConfig, apiKey);
+  }
+
+  return callOpenAI(conversation, providerConfig, apiKey);
+}
+
+function streamProvider(conversation, providerConfig, runtime, apiKey, onDelta, signal) {
+  if (providerConfig.type === "anthropic") {
+    return streamAnthropic(conversation, providerConfig, runtime, apiKey, onDelta, signal);
+  }
+
+  if (providerConfig.type === "openai-chat") {
+    return streamOpenAIChat(conversation, providerConfig, apiKey, onDelta, signal);
+  }
+
+  return streamOpenAI(conversation, providerConfig, apiKey, onDelta, signal);
+}
+
+async function streamChatResponse(
+  res,
+  runtime,
+  selectedProvider,
+  selectedProviderConfig,
+  conversation,
+  apiKey
+) {
+  const abortController = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  const writeEvent = startEventStream(res);
+  const onDelta = (text) => {
+    writeEvent({ type: "delta", text });
+  };
+
+  try {
+    const result = await streamProvider(
+      conversation,
+      selectedProviderConfig,
+      runtime,
+      apiKey,
+      onDelta,
+      abortController.signal
+    );
+
+    writeEvent({
+      type: "done",
+      provider: selectedProvider,
+      response: result.text,
+      operations: result.operations
+    });
+  } catch (requestError) {
+    if (abortController.signal.aborted) {
+      return;
+    }
+
+    const messageText =
+      requestError instanceof Error ? requestError.message : "Unknown provider error.";
+    console.error("LLM proxy stream error:", requestError);
+    writeEvent({ type: "error", error: messageText });
+  } finally {
+    res.end();
+  }
+}
+
 async function parseRequestJsonBody(req) {
   if (req.body && typeof req.body === "object") {
     return req.body;
@@ -391,6 +841,109 @@ async function parseRequestJsonBody(req) {
   }
 }
 
+function getSessionStore() {
+  if (!cachedSessionStore) {
+    cachedSessionStore = createSessionStore();
+  }
+
+  return cachedSessionStore;
+}
+
+function getSessionIdParam(req) {
+  const id = req.params?.id ?? req.query?.id;
+  return Array.isArray(id) ? id[0] : id;
+}
+
+function normalizeSessionState(state, index, states) {
+  if (state === null && index > 0) {
+    return null;
+  }
+
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    throw new Error(`\`states[${index}]\` must be an object${index > 0 ? " or null" : ""}.`);
+  }
+
+  const parentIndex = index === 0 ? null : state.parentIndex;
+  const hasValidParent =
+    Number.isInteger(parentIndex) && parentIndex >= 0 && parentIndex < index && states[parentIndex];
+  if (index > 0 && !hasValidParent) {
+    throw new Error(`\`states[${index}].parentIndex\` must point to an earlier state.`);
+  }
+
+  return {
+    code: typeof state.code === "string" ? state.code : null,
+    operations: Array.isArray(state.operations) ? state.operations : null,
+    sandboxed: state.sandboxed !== false,
+    parentIndex,
+    prompt: typeof state.prompt === "string" ? state.prompt : null,
+    label: typeof state.label === "string" ? state.label.slice(0, MAX_SESSION_NAME_LENGTH) : "",
+    thumbnail: parseScreenshotDataUrl(state.thumbnail) ? state.thumbnail : null,
+    viewState: state.viewState && typeof state.viewState === "object" ? state.viewState : null
+  };
+}
+
+function normalizeSessionLog(log) {
+  if (!Array.isArray(log)) {
+    return [];
+  }
+
+  return log
+    .filter((entry) => entry && LOG_ROLES.has(entry.role) && typeof entry.text === "string")
+    .slice(-MAX_SESSION_LOG_ENTRIES)
+    .map((entry) => ({
+      role: entry.role,
+      text: entry.text,
+      meta: Number.isInteger(entry.meta?.stateIndex) ? { stateIndex: entry.meta.stateIndex } : null
+    }));
+}
+
+function normalizeSessionBody(body, fallbackName) {
+  const name = typeof body.name === "string" ? body.name.trim() : fallbackName;
+  if (!name) {
+    throw new Error("Request body must include a non-empty `name`.");
+  }
+
+  if (!Array.isArray(body.states) || body.states.length === 0) {
+    throw new Error("Request body must include a non-empty `states` array.");
+  }
+
+  const states = body.states.map(normalizeSessionState);
+  const activeStateIndex = body.activeStateIndex ?? 0;
+  if (!Number.isInteger(activeStateIndex) || !states[activeStateIndex]) {
+    throw new Error("`activeStateIndex` must point to an existing state.");
+  }
+
+  return {
+    name: name.slice(0, MAX_SESSION_NAME_LENGTH),
+    history: Array.isArray(body.history) ? body.history.filter(isHistoryEntry) : [],
+    log: normalizeSessionLog(body.log),
+    states,
+    activeStateIndex
+  };
+}
+
+async function readSessionRequest(req, res, fallbackName) {
+  const requestBody = await parseRequestJsonBody(req);
+  if (!requestBody || typeof requestBody !== "object" || Array.isArray(requestBody)) {
+    sendJson(res, 400, { error: "Request body must be valid JSON." });
+    return null;
+  }
+
+  try {
+    return { requestBody, session: normalizeSessionBody(requestBody, fallbackName) };
+  } catch (validationError) {
+    sendJson(res, 400, { error: validationError.message });
+    return null;
+  }
+}
+
+function sendSessionStoreError(res, storeError) {
+  const messageText =
+    storeError instanceof Error ? storeError.message : "Unknown session store error.";
+  console.error("Session store error:", storeError);
+  sendJson(res, 500, { error: messageText });
+}
+
 export function assertProviderConfiguration() {
   getRuntimeState();
 }
@@ -433,9 +986,9 @@ export async function validateKeyHandler(req, res) {
 
   try {
     if (selectedProviderConfig.type === "anthropic") {
-      await validateAnthropicKey(apiKey);
+      await validateAnthropicKey(selectedProviderConfig, apiKey);
     } else {
-      await validateOpenAIKey(apiKey);
+      await validateOpenAIKey(selectedProviderConfig, apiKey);
     }
 
     sendJson(res, 200, { provider: providerId, valid: true });
@@ -455,7 +1008,17 @@ export async function chatHandler(req, res) {
     return;
   }
 
-  const { message, history, provider, screenshot, apiKey } = requestBody;
+  const {
+    message,
+    history,
+    provider,
+    screenshot,
+    apiKey,
+    stream,
+    protocol,
+    sceneSummary,
+    selection
+  } = requestBody;
 
   if (typeof message !== "string" || message.trim().length === 0) {
     sendJson(res, 400, { error: "Request body must include a non-empty `message`." });
@@ -471,12 +1034,17 @@ export async function chatHandler(req, res) {
     return;
   }
 
-  const envApiKey = resolveApiKey(process.env[selectedProviderConfig.envVar]);
+  const envApiKey = resolveApiKey(
+    selectedProviderConfig.envVar ? process.env[selectedProviderConfig.envVar] : ""
+  );
   const requestApiKey = resolveApiKey(apiKey);
   const resolvedApiKey = envApiKey || requestApiKey;
-  if (!resolvedApiKey) {
+  if (!resolvedApiKey && selectedProviderConfig.requiresApiKey) {
+    const envHint = selectedProviderConfig.envVar
+      ? `Set ${selectedProviderConfig.envVar} in .env or provide apiKey in the request.`
+      : "Provide apiKey in the request.";
     sendJson(res, 400, {
-      error: `No API key configured for ${selectedProviderConfig.label}. Set ${selectedProviderConfig.envVar} in .env or provide apiKey in the request.`
+      error: `No API key configured for ${selectedProviderConfig.label}. ${envHint}`
     });
     return;
   }
@@ -490,30 +1058,49 @@ export async function chatHandler(req, res) {
     return;
   }
 
+  const selectedProtocol = protocol === undefined ? "code" : protocol;
+  if (!SCENE_PROTOCOLS.has(selectedProtocol)) {
+    sendJson(res, 400, { error: "If provided, `protocol` must be 'code' or 'tools'." });
+    return;
+  }
+
+  const conversation = {
+    message: message.trim(),
+    history,
+    screenshot: selectedProviderConfig.supportsImages ? parsedScreenshot : null,
+    protocol: selectedProtocol,
+    sceneContext: [
+      formatSceneSummary(normalizeSceneSummary(sceneSummary)),
+      formatSelection(normalizeSelection(selection))
+    ]
+      .filter(Boolean)
+      .join("\n\n")
+  };
+
+  if (stream === true) {
+    await streamChatResponse(
+      res,
+      runtime,
+      selectedProvider,
+      selectedProviderConfig,
+      conversation,
+      resolvedApiKey
+    );
+    return;
+  }
+
   try {
-    let responseText = "";
-    if (selectedProviderConfig.type === "anthropic") {
-      responseText = await callAnthropic(
-        message.trim(),
-        history,
-        parsedScreenshot,
-        selectedProviderConfig.model,
-        runtime,
-        resolvedApiKey
-      );
-    } else {
-      responseText = await callOpenAI(
-        message.trim(),
-        history,
-        parsedScreenshot,
-        selectedProviderConfig.model,
-        resolvedApiKey
-      );
-    }
+    const result = await callProvider(
+      conversation,
+      selectedProviderConfig,
+      runtime,
+      resolvedApiKey
+    );
 
     sendJson(res, 200, {
       provider: selectedProvider,
-      response: responseText
+      response: result.text,
+      operations: result.operations
     });
   } catch (requestError) {
     const messageText =
@@ -522,3 +1109,138 @@ export async function chatHandler(req, res) {
     sendJson(res, 500, { error: messageText });
   }
 }
+
+export async function listSessionsHandler(_req, res) {
+  try {
+    sendJson(res, 200, { sessions: await getSessionStore().list() });
+  } catch (storeError) {
+    sendSessionStoreError(res, storeError);
+  }
+}
+
+export async function createSessionHandler(req, res) {
+  const request = await readSessionRequest(req, res, "");
+  if (!request) {
+    return;
+  }
+
+  const id = request.requestBody.id ?? randomUUID();
+  if (!isValidSessionId(id)) {
+    sendJson(res, 400, { error: "If provided, `id` must be 1-64 letters, digits, - or _." });
+    return;
+  }
+
+  try {
+    const now = Date.now();
+    const session = await getSessionStore().create({
+      id,
+      ...request.session,
+      createdAt: now,
+      updatedAt: now
+    });
+    if (!session) {
+      sendJson(res, 409, { error: `Session '${id}' already exists.` });
+      return;
+    }
+
+    sendJson(res, 201, { session });
+  } catch (storeError) {
+    sendSessionStoreError(res, storeError);
+  }
+}
+
+export async function getSessionHandler(req, res) {
+  const id = getSessionIdParam(req);
+  if (!isValidSessionId(id)) {
+    sendJson(res, 400, { error: "Invalid session id." });
+    return;
+  }
+
+  try {
+    const session = await getSessionStore().get(id);
+    if (!session) {
+      sendJson(res, 404, { error: `Session '${id}' was not found.` });
+      return;
+    }
+
+    sendJson(res, 200, { session });
+  } catch (storeError) {
+    sendSessionStoreError(res, storeError);
+  }
+}
+
+export async function updateSessionHandler(req, res) {
+  const id = getSessionIdParam(req);
+  if (!isValidSessionId(id)) {
+    sendJson(res, 400, { error: "Invalid session id." });
+    return;
+  }
+
+  try {
+    const store = getSessionStore();
+    const existing = await store.get(id);
+    if (!existing) {
+      sendJson(res, 404, { error: `Session '${id}' was not found.` });
+      return;
+    }
+
+    const request = await readSessionRequest(req, res, existing.name);
+    if (!request) {
+      return;
+    }
+
+    // The client sends the updatedAt it last saw, so a save based on an older copy is refused
+    // instead of overwriting a newer one.
+    const expectedUpdatedAt = request.requestBody.updatedAt;
+    if (!Number.isFinite(expectedUpdatedAt)) {
+      sendJson(res, 400, {
+        error: "Request body must include the `updatedAt` of the session it replaces."
+      });
+      return;
+    }
+
+    const session = await store.update(
+      id,
+      {
+        ...request.session,
+        id,
+        createdAt: existing.createdAt,
+        updatedAt: Math.max(Date.now(), expectedUpdatedAt + 1)
+      },
+      expectedUpdatedAt
+    );
+    if (session === false) {
+      sendJson(res, 409, {
+        error: `Session '${id}' was saved by someone else. Fetch it again before saving.`
+      });
+      return;
+    }
+    if (!session) {
+      sendJson(res, 404, { error: `Session '${id}' was not found.` });
+      return;
+    }
+
+    sendJson(res, 200, { session });
+  } catch (storeError) {
+    sendSessionStoreError(res, storeError);
+  }
+}
+
+export async function deleteSessionHandler(req, res) {
+  const id = getSessionIdParam(req);
+  if (!isValidSessionId(id)) {
+    sendJson(res, 400, { error: "Invalid session id." });
+    return;
+  }
+
+  try {
+    if (!(await getSessionStore().remove(id))) {
+      sendJson(res, 404, { error: `Session '${id}' was not found.` });
+      return;
+    }
+
+    sendJson(res, 200, { id, deleted: true });
+  } catch (storeError) {
+    sendSessionStoreError(res, storeError);
+  }
+}
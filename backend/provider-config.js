@@ -0,0 +1,174 @@
+import fs from "node:fs";
+import path from "node:path";
+
+const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com";
+const DEFAULT_ANTHROPIC_BASE_URL = "https://api.anthropic.com";
+const DEFAULT_ANTHROPIC_MAX_TOKENS = 1200;
+
+const DEFAULT_PROVIDER_CONFIG_FILE = "providers.json";
+const PROVIDER_TYPES = new Set(["openai", "openai-chat", "anthropic"]);
+
+function readEnvString(name) {
+  const value = process.env[name];
+  return typeof value === "string" && value.trim() ? value.trim() : "";
+}
+
+function createDefaultProviderEntries() {
+  return [
+    {
+      id: "codex",
+      label: "Codex",
+      type: "openai",
+      model: "gpt-5.2-codex",
+      baseUrl: readEnvString("OPENAI_BASE_URL") || DEFAULT_OPENAI_BASE_URL,
+      envVar: "OPENAI_API_KEY"
+    },
+    {
+      id: "claude-code",
+      label: "Claude Code",
+      type: "anthropic",
+      model: "claude-opus-4-6",
+      baseUrl: readEnvString("ANTHROPIC_BASE_URL") || DEFAULT_ANTHROPIC_BASE_URL,
+      envVar: "ANTHROPIC_API_KEY"
+    }
+  ];
+}
+
+function readProviderConfigSource() {
+  const inlineConfig = readEnvString("LLM_PROVIDERS");
+  if (inlineConfig) {
+    return { source: "LLM_PROVIDERS", raw: inlineConfig };
+  }
+
+  const configuredPath = readEnvString("LLM_PROVIDERS_FILE");
+  const filePath = path.resolve(configuredPath || DEFAULT_PROVIDER_CONFIG_FILE);
+  if (!fs.existsSync(filePath)) {
+    if (configuredPath) {
+      throw new Error(`Provider config file '${filePath}' does not exist.`);
+    }
+
+    return null;
+  }
+
+  return { source: filePath, raw: fs.readFileSync(filePath, "utf8") };
+}
+
+function readOptionalNumber(entry, key, label, { integer = false, min = 0 } = {}) {
+  if (entry[key] === undefined || entry[key] === null) {
+    return null;
+  }
+
+  const value = entry[key];
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min) {
+    throw new Error(`${label}: \`${key}\` must be a number >= ${min}.`);
+  }
+
+  if (integer && !Number.isInteger(value)) {
+    throw new Error(`${label}: \`${key}\` must be an integer.`);
+  }
+
+  return value;
+}
+
+function normalizeProviderEntry(entry, index) {
+  const label = `providers[${index}]`;
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw new Error(`${label} must be an object.`);
+  }
+
+  const id = typeof entry.id === "string" ? entry.id.trim() : "";
+  if (!id) {
+    throw new Error(`${label}: \`id\` must be a non-empty string.`);
+  }
+
+  const type = typeof entry.type === "string" ? entry.type.trim() : "";
+  if (!PROVIDER_TYPES.has(type)) {
+    throw new Error(
+      `${label} (${id}): \`type\` must be one of ${[...PROVIDER_TYPES].join(", ")}.`
+    );
+  }
+
+  const model = typeof entry.model === "string" ? entry.model.trim() : "";
+  if (!model) {
+    throw new Error(`${label} (${id}): \`model\` must be a non-empty string.`);
+  }
+
+  const baseUrl =
+    typeof entry.baseUrl === "string" && entry.baseUrl.trim()
+      ? entry.baseUrl.trim()
+      : type === "anthropic"
+        ? DEFAULT_ANTHROPIC_BASE_URL
+        : DEFAULT_OPENAI_BASE_URL;
+
+  const envVar =
+    typeof entry.envVar === "string" && entry.envVar.trim() ? entry.envVar.trim() : null;
+  const maxTokens = readOptionalNumber(entry, "maxTokens", `${label} (${id})`, {
+    integer: true,
+    min: 1
+  });
+  const temperature = readOptionalNumber(entry, "temperature", `${label} (${id})`);
+
+  return {
+    id,
+    label: typeof entry.label === "string" && entry.label.trim() ? entry.label.trim() : id,
+    type,
+    model,
+    baseUrl,
+    envVar,
+    requiresApiKey: entry.requiresApiKey !== false,
+    supportsImages: entry.supportsImages !== false,
+    maxTokens: maxTokens ?? (type === "anthropic" ? DEFAULT_ANTHROPIC_MAX_TOKENS : null),
+    temperature
+  };
+}
+
+export function loadProviderCatalog() {
+  const configSource = readProviderConfigSource();
+  let entries = createDefaultProviderEntries();
+  let defaultProvider = null;
+
+  if (configSource) {
+    let parsed;
+    try {
+      parsed = JSON.parse(configSource.raw);
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : "invalid JSON";
+      throw new Error(`Failed to parse provider config from ${configSource.source}: ${reason}`);
+    }
+
+    entries = Array.isArray(parsed) ? parsed : parsed?.providers;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(
+        `Provider config from ${configSource.source} must contain a non-empty \`providers\` array.`
+      );
+    }
+
+    defaultProvider =
+      !Array.isArray(parsed) && typeof parsed.defaultProvider === "string"
+        ? parsed.defaultProvider
+        : null;
+  }
+
+  const providerCatalog = {};
+  entries.forEach((entry, index) => {
+    let provider;
+    try {
+      provider = normalizeProviderEntry(entry, index);
+    } catch (error) {
+      const source = configSource ? configSource.source : "built-in defaults";
+      throw new Error(`Invalid provider config in ${source}: ${error.message}`);
+    }
+
+    if (providerCatalog[provider.id]) {
+      throw new Error(`Provider id '${provider.id}' is defined more than once.`);
+    }
+
+    providerCatalog[provider.id] = provider;
+  });
+
+  if (defaultProvider && !providerCatalog[defaultProvider]) {
+    throw new Error(`Default provider '${defaultProvider}' is not defined in the provider config.`);
+  }
+
+  return { providerCatalog, defaultProvider };
+}
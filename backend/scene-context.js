@@ -0,0 +1,211 @@
+const MAX_SCENE_SUMMARY_OBJECTS = 150;
+const MAX_SCENE_SUMMARY_CHARS = 8000;
+const MAX_SCENE_ASSETS = 50;
+const MAX_ASSET_ANIMATIONS = 10;
+const MAX_SELECTED_OBJECTS = 20;
+const OBJECT_PATH_PATTERN = /^scene(\.children\[\d+\]){1,32}$/;
+const MAX_NAME_LENGTH = 80;
+
+function readShortString(value) {
+  return typeof value === "string" ? value.trim().slice(0, MAX_NAME_LENGTH) : "";
+}
+
+function readVector(value) {
+  if (!Array.isArray(value) || value.length !== 3) {
+    return null;
+  }
+
+  return value.every((component) => typeof component === "number" && Number.isFinite(component))
+    ? value
+    : null;
+}
+
+function normalizeSummaryObject(entry) {
+  if (!entry || typeof entry !== "object") {
+    return null;
+  }
+
+  return {
+    name: readShortString(entry.name),
+    type: readShortString(entry.type) || "Object3D",
+    parent: readShortString(entry.parent),
+    geometry: readShortString(entry.geometry),
+    color: /^#[0-9a-f]{6}$/i.test(entry.color) ? entry.color : "",
+    intensity:
+      typeof entry.intensity === "number" && Number.isFinite(entry.intensity)
+        ? entry.intensity
+        : null,
+    position: readVector(entry.position),
+    rotation: readVector(entry.rotation),
+    scale: readVector(entry.scale),
+    visible: entry.visible !== false,
+    animated: entry.animated === true,
+    physics: readShortString(entry.physics)
+  };
+}
+
+function readCount(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0 ? Math.floor(value) : 0;
+}
+
+function normalizeAsset(entry) {
+  const name = readShortString(entry?.name);
+  if (!name) {
+    return null;
+  }
+
+  const kind = entry.kind === "texture" ? "texture" : "model";
+  return kind === "texture"
+    ? {
+        name,
+        kind,
+        fileName: readShortString(entry.fileName),
+        width: readCount(entry.width),
+        height: readCount(entry.height)
+      }
+    : {
+        name,
+        kind,
+        fileName: readShortString(entry.fileName),
+        meshes: readCount(entry.meshes),
+        size: readVector(entry.size),
+        animations: Array.isArray(entry.animations)
+          ? entry.animations.slice(0, MAX_ASSET_ANIMATIONS).map(readShortString).filter(Boolean)
+          : []
+      };
+}
+
+export function normalizeSceneSummary(value) {
+  if (!value || typeof value !== "object" || !Array.isArray(value.objects)) {
+    return null;
+  }
+
+  const objects = value.objects
+    .slice(0, MAX_SCENE_SUMMARY_OBJECTS)
+    .map(normalizeSummaryObject)
+    .filter(Boolean);
+
+  const objectCount =
+    typeof value.objectCount === "number" && value.objectCount >= objects.length
+      ? Math.floor(value.objectCount)
+      : objects.length;
+
+  const assets = Array.isArray(value.assets)
+    ? value.assets.slice(0, MAX_SCENE_ASSETS).map(normalizeAsset).filter(Boolean)
+    : [];
+
+  return { objectCount, objects, assets };
+}
+
+export function normalizeSelection(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  return value
+    .slice(0, MAX_SELECTED_OBJECTS)
+    .map((entry) => {
+      const object = normalizeSummaryObject(entry);
+      return object && { ...object, path: OBJECT_PATH_PATTERN.test(entry.path) ? entry.path : "" };
+    })
+    .filter(Boolean);
+}
+
+function formatVector(label, vector) {
+  return vector ? `${label} [${vector.join(", ")}]` : "";
+}
+
+function formatSummaryObject(object) {
+  const details = [object.type, object.geometry, object.color].filter(Boolean).join(", ");
+  const parts = [
+    `- ${object.name ? `"${object.name}"` : "(unnamed)"} (${details})`,
+    object.parent ? `parent "${object.parent}"` : "",
+    formatVector("pos", object.position),
+    formatVector("rot", object.rotation),
+    formatVector("scale", object.scale),
+    object.intensity !== null ? `intensity ${object.intensity}` : "",
+    object.visible ? "" : "hidden",
+    object.animated ? "animated" : "",
+    object.physics ? `physics body (${object.physics})` : "",
+    object.path ? `at ${object.path}` : ""
+  ];
+
+  return parts.filter(Boolean).join(" ");
+}
+
+function formatAsset(asset) {
+  const source = asset.fileName ? ` from ${asset.fileName}` : "";
+  if (asset.kind === "texture") {
+    return `- "${asset.name}" (texture${source}, ${asset.width}x${asset.height})`;
+  }
+
+  const parts = [
+    `- "${asset.name}" (model${source}, ${asset.meshes} mesh(es))`,
+    formatVector("size", asset.size),
+    asset.animations.length > 0 ? `animations: ${asset.animations.join(", ")}` : ""
+  ];
+
+  return parts.filter(Boolean).join(" ");
+}
+
+function formatSceneAssets(assets) {
+  if (assets.length === 0) {
+    return "";
+  }
+
+  return [
+    "Imported assets (call assets.get(name) for a copy):",
+    ...assets.map(formatAsset)
+  ].join("\n");
+}
+
+function formatSceneObjects(sceneSummary) {
+  if (sceneSummary.objects.length === 0) {
+    return "Current scene objects: none besides the base grid, ground plane and lights.";
+  }
+
+  const lines = [
+    `Current scene objects (${sceneSummary.objectCount}, excluding base grid, ground and lights):`
+  ];
+  let length = lines[0].length;
+  let listed = 0;
+
+  for (const object of sceneSummary.objects) {
+    const line = formatSummaryObject(object);
+    if (length + line.length + 1 > MAX_SCENE_SUMMARY_CHARS) {
+      break;
+    }
+
+    lines.push(line);
+    length += line.length + 1;
+    listed += 1;
+  }
+
+  const omitted = sceneSummary.objectCount - listed;
+  if (omitted > 0) {
+    lines.push(`… ${omitted} more object(s) omitted.`);
+  }
+
+  return lines.join("\n");
+}
+
+export function formatSelection(selection) {
+  if (selection.length === 0) {
+    return "";
+  }
+
+  return [
+    "Selected objects (\"this\", \"these\" and \"the selection\" in the request refer to them):",
+    ...selection.map(formatSummaryObject)
+  ].join("\n");
+}
+
+export function formatSceneSummary(sceneSummary) {
+  if (!sceneSummary) {
+    return "";
+  }
+
+  return [formatSceneObjects(sceneSummary), formatSceneAssets(sceneSummary.assets)]
+    .filter(Boolean)
+    .join("\n\n");
+}
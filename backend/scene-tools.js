@@ -0,0 +1,164 @@
+const vector3Schema = {
+  type: "array",
+  items: { type: "number" },
+  minItems: 3,
+  maxItems: 3
+};
+
+const colorSchema = {
+  type: "string",
+  description: "CSS color name or hex string such as #ff5533."
+};
+
+const materialSchema = {
+  type: "object",
+  description: "MeshStandardMaterial properties for meshes.",
+  properties: {
+    color: colorSchema,
+    emissive: colorSchema,
+    emissiveIntensity: { type: "number" },
+    roughness: { type: "number", minimum: 0, maximum: 1 },
+    metalness: { type: "number", minimum: 0, maximum: 1 },
+    opacity: { type: "number", minimum: 0, maximum: 1 },
+    wireframe: { type: "boolean" }
+  }
+};
+
+const SCENE_OBJECT_KINDS = [
+  "box",
+  "sphere",
+  "cylinder",
+  "cone",
+  "torus",
+  "plane",
+  "teapot",
+  "group",
+  "ambient_light",
+  "directional_light",
+  "point_light",
+  "spot_light"
+];
+
+const SCENE_ANIMATION_TYPES = ["spin", "bob", "orbit", "pulse", "none"];
+
+export const sceneTools = [
+  {
+    name: "create_object",
+    description:
+      "Create a mesh, group or light. An existing object with the same name is replaced.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Unique, stable object name." },
+        kind: { type: "string", enum: SCENE_OBJECT_KINDS },
+        params: {
+          type: "object",
+          description:
+            "Geometry or light parameters: width, height, depth, radius, radiusTop, radiusBottom, tube, size, widthSegments, heightSegments, radialSegments, tubularSegments, distance, angle.",
+          additionalProperties: { type: "number" }
+        },
+        color: colorSchema,
+        intensity: { type: "number", description: "Light intensity (lights only)." },
+        material: materialSchema,
+        position: vector3Schema,
+        rotation: { ...vector3Schema, description: "Euler rotation in radians." },
+        scale: vector3Schema,
+        parent: {
+          type: "string",
+          description: "Name of the parent object. Defaults to the scene."
+        },
+        castShadow: { type: "boolean" },
+        receiveShadow: { type: "boolean" }
+      },
+      required: ["name", "kind"]
+    }
+  },
+  {
+    name: "update_object",
+    description:
+      "Change the transform, visibility, color, material or light intensity of an object.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        rename: { type: "string", description: "New name for the object." },
+        position: vector3Schema,
+        rotation: { ...vector3Schema, description: "Euler rotation in radians." },
+        scale: vector3Schema,
+        visible: { type: "boolean" },
+        color: colorSchema,
+        intensity: { type: "number" },
+        material: materialSchema,
+        castShadow: { type: "boolean" },
+        receiveShadow: { type: "boolean" }
+      },
+      required: ["name"]
+    }
+  },
+  {
+    name: "remove_object",
+    description: "Remove an object and its children from the scene.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string" }
+      },
+      required: ["name"]
+    }
+  },
+  {
+    name: "set_animation",
+    description:
+      "Attach a procedural animation to an object, replacing any previous one. Use type none to stop it.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        type: { type: "string", enum: SCENE_ANIMATION_TYPES },
+        axis: { type: "string", enum: ["x", "y", "z"] },
+        speed: { type: "number", description: "Radians per second." },
+        amplitude: { type: "number" },
+        radius: { type: "number" },
+        center: vector3Schema
+      },
+      required: ["name", "type"]
+    }
+  },
+  {
+    name: "set_camera",
+    description: "Move the camera and/or change what it looks at.",
+    parameters: {
+      type: "object",
+      properties: {
+        position: vector3Schema,
+        target: vector3Schema,
+        fov: { type: "number", minimum: 1, maximum: 179 }
+      }
+    }
+  },
+  {
+    name: "run_code",
+    description:
+      "Escape hatch: run JavaScript with scene, THREE, camera, renderer, assets, physics in scope when no other tool fits.",
+    parameters: {
+      type: "object",
+      properties: {
+        code: { type: "string" }
+      },
+      required: ["code"]
+    }
+  }
+];
+
+export const toolSystemPrompt = [
+  "You are a Three.js scene command assistant.",
+  "You change the scene by calling the provided tools; every call is applied in order.",
+  "Rules:",
+  "- Prefer create_object, update_object, remove_object, set_animation and set_camera.",
+  "- Only use run_code when the typed tools cannot express the change.",
+  "- Imported models and textures are only reachable from run_code, through assets.get(name).",
+  "- Rigid-body physics is only reachable from run_code: physics.add(mesh, { shape: \"box\" | \"sphere\" | \"plane\" | \"trimesh\", mass }) makes an object fall and collide. The groundPlane is already a static collider.",
+  "- Give created objects clear, stable names so they can be referenced later.",
+  "- Vectors are [x, y, z]; rotations are in radians; the ground is at y = 0.",
+  "- Reply with a short sentence describing what you changed."
+].join("\n");
@@ -0,0 +1,175 @@
+import { randomUUID } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const DEFAULT_SESSION_STORE = "file";
+const DEFAULT_SESSION_DIR = ".sessions";
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function readEnvString(name) {
+  const value = process.env[name];
+  return typeof value === "string" && value.trim() ? value.trim() : "";
+}
+
+export function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID_PATTERN.test(id);
+}
+
+function toSessionMeta(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    stateCount: Array.isArray(session.states) ? session.states.filter(Boolean).length : 0
+  };
+}
+
+// One `<id>.json` file per session. Writes go through a temp file and a rename, so a crashed
+// write never leaves a truncated session behind.
+export function createJsonFileSessionStore(directory) {
+  const getSessionPath = (id) => {
+    if (!isValidSessionId(id)) {
+      throw new Error(`Invalid session id '${id}'.`);
+    }
+
+    return path.join(directory, `${id}.json`);
+  };
+
+  async function readSession(id) {
+    try {
+      return JSON.parse(await fs.readFile(getSessionPath(id), "utf8"));
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function writeTempFile(session) {
+    await fs.mkdir(directory, { recursive: true });
+    const tempPath = `${getSessionPath(session.id)}.${process.pid}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(session), "utf8");
+    return tempPath;
+  }
+
+  async function writeSession(session) {
+    const tempPath = await writeTempFile(session);
+    await fs.rename(tempPath, getSessionPath(session.id));
+    return session;
+  }
+
+  // Linking fails if the file already exists, so two creates with the same id cannot both win.
+  async function createSession(session) {
+    const tempPath = await writeTempFile(session);
+    try {
+      await fs.link(tempPath, getSessionPath(session.id));
+      return session;
+    } catch (error) {
+      if (error?.code === "EEXIST") {
+        return null;
+      }
+      throw error;
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  // Updates to one session run one at a time, so the version check and the write cannot
+  // interleave within this process.
+  const pendingUpdates = new Map();
+  const runExclusive = (id, task) => {
+    const result = (pendingUpdates.get(id) ?? Promise.resolve()).catch(() => {}).then(task);
+    pendingUpdates.set(id, result);
+    result
+      .finally(() => {
+        if (pendingUpdates.get(id) === result) {
+          pendingUpdates.delete(id);
+        }
+      })
+      .catch(() => {});
+    return result;
+  };
+
+  return {
+    async list() {
+      let fileNames = [];
+      try {
+        fileNames = await fs.readdir(directory);
+      } catch (error) {
+        if (error?.code === "ENOENT") {
+          return [];
+        }
+        throw error;
+      }
+
+      const sessions = await Promise.all(
+        fileNames
+          .filter((fileName) => fileName.endsWith(".json"))
+          .map((fileName) => readSession(fileName.slice(0, -".json".length)).catch(() => null))
+      );
+
+      return sessions
+        .filter(Boolean)
+        .map(toSessionMeta)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+    get: readSession,
+    create: createSession,
+    update(id, session, expectedUpdatedAt) {
+      return runExclusive(id, async () => {
+        const current = await readSession(id);
+        if (!current) {
+          return null;
+        }
+        if (current.updatedAt !== expectedUpdatedAt) {
+          return false;
+        }
+
+        return writeSession({ ...session, id });
+      });
+    },
+    async remove(id) {
+      try {
+        await fs.unlink(getSessionPath(id));
+        return true;
+      } catch (error) {
+        if (error?.code === "ENOENT") {
+          return false;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+// Every adapter implements list(), get(id), create(session), update(id, session,
+// expectedUpdatedAt) and remove(id). get/update return null for unknown ids, update returns false
+// when the stored session's updatedAt is no longer expectedUpdatedAt, create returns null when the
+// id is taken and remove reports whether a session was deleted.
+const sessionStoreAdapters = {
+  file: () => {
+    const directory = readEnvString("SESSION_STORE_DIR");
+    // Vercel functions can only write to /tmp, which each instance loses when it is recycled.
+    if (!directory && readEnvString("VERCEL")) {
+      throw new Error(
+        "The file session store cannot write on Vercel. Configure a persistent store with " +
+          "SESSION_STORE, or set SESSION_STORE_DIR=/tmp/sessions to keep sessions per instance."
+      );
+    }
+
+    return createJsonFileSessionStore(path.resolve(directory || DEFAULT_SESSION_DIR));
+  }
+};
+
+export function createSessionStore() {
+  const adapterName = readEnvString("SESSION_STORE") || DEFAULT_SESSION_STORE;
+  const createAdapter = sessionStoreAdapters[adapterName];
+  if (!createAdapter) {
+    const available = Object.keys(sessionStoreAdapters).join(", ");
+    throw new Error(`Unknown SESSION_STORE '${adapterName}'. Available stores: ${available}.`);
+  }
+
+  return createAdapter();
+}
@@ -7,7 +7,12 @@ import { createServer as createViteServer } from "vite";
 import {
   assertProviderConfiguration,
   chatHandler,
+  createSessionHandler,
+  deleteSessionHandler,
+  getSessionHandler,
+  listSessionsHandler,
   providersHandler,
+  updateSessionHandler,
   validateKeyHandler
 } from "./backend/llm-proxy.js";
 
@@ -23,6 +28,11 @@ app.use(express.json({ limit: "6mb" }));
 app.get("/api/providers", providersHandler);
 app.post("/api/chat", chatHandler);
 app.post("/api/validate-key", validateKeyHandler);
+app.get("/api/sessions", listSessionsHandler);
+app.post("/api/sessions", createSessionHandler);
+app.get("/api/sessions/:id", getSessionHandler);
+app.put("/api/sessions/:id", updateSessionHandler);
+app.delete("/api/sessions/:id", deleteSessionHandler);
 
 async function start() {
   assertProviderConfiguration();
@@ -0,0 +1,77 @@
+const REFRESH_INTERVAL_MS = 100;
+const SCRUB_WINDOW_SECONDS = 30;
+
+function formatTime(seconds) {
+  return `${seconds.toFixed(2)} s`;
+}
+
+export function createAnimationTransport(playback) {
+  const playEl = document.getElementById("transport-play");
+  const stepEl = document.getElementById("transport-step");
+  const speedEl = document.getElementById("transport-speed");
+  const scrubEl = document.getElementById("transport-scrub");
+  const timeEl = document.getElementById("transport-time");
+  const pinEl = document.getElementById("transport-pin");
+
+  let scrubbing = false;
+
+  function render() {
+    const { time, playing, screenshotTime } = playback.getState();
+    const playLabel = playing ? "Pause" : "Play";
+    playEl.textContent = playing ? "⏸" : "▶";
+    playEl.title = playLabel;
+    playEl.setAttribute("aria-label", playLabel);
+
+    // The scrubber grows in fixed windows so the thumb does not crawl as time passes.
+    if (!scrubbing) {
+      const windowEnd = Math.ceil(time / SCRUB_WINDOW_SECONDS) * SCRUB_WINDOW_SECONDS;
+      scrubEl.max = String(Math.max(SCRUB_WINDOW_SECONDS, windowEnd));
+      scrubEl.value = String(time);
+    }
+    timeEl.textContent = formatTime(time);
+
+    const pinned = screenshotTime !== null;
+    pinEl.setAttribute("aria-pressed", String(pinned));
+    pinEl.classList.toggle("border-cyan-500", pinned);
+    pinEl.classList.toggle("text-cyan-300", pinned);
+    pinEl.title = pinned
+      ? `Screenshots are frozen at ${formatTime(screenshotTime)}. Click to follow the live scene.`
+      : "Freeze screenshots sent to the model at the current time";
+    pinEl.setAttribute("aria-label", pinEl.title);
+  }
+
+  playEl.addEventListener("click", () => {
+    playback.setPlaying(!playback.getState().playing);
+    render();
+  });
+
+  stepEl.addEventListener("click", () => {
+    playback.step();
+    render();
+  });
+
+  speedEl.addEventListener("change", () => {
+    playback.setSpeed(Number.parseFloat(speedEl.value));
+  });
+
+  scrubEl.addEventListener("pointerdown", () => {
+    scrubbing = true;
+  });
+  scrubEl.addEventListener("input", () => {
+    playback.setPlaying(false);
+    playback.seek(Number.parseFloat(scrubEl.value));
+    render();
+  });
+  window.addEventListener("pointerup", () => {
+    scrubbing = false;
+  });
+
+  pinEl.addEventListener("click", () => {
+    const { time, screenshotTime } = playback.getState();
+    playback.setScreenshotTime(screenshotTime === null ? time : null);
+    render();
+  });
+
+  render();
+  window.setInterval(render, REFRESH_INTERVAL_MS);
+}
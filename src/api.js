@@ -20,22 +20,83 @@ export async function fetchProviders() {
   return parseJsonResponse(response);
 }
 
-export async function sendMessage(message, history, provider, screenshot, apiKey) {
+export async function streamMessage(request, onDelta) {
   const response = await fetch("/api/chat", {
     method: "POST",
     headers: {
-      "Content-Type": "application/json"
+      "Content-Type": "application/json",
+      Accept: "application/x-ndjson"
     },
     body: JSON.stringify({
-      message,
-      history,
-      provider,
-      screenshot,
-      apiKey
+      message: request.message,
+      history: request.history,
+      provider: request.provider,
+      screenshot: request.screenshot,
+      apiKey: request.apiKey,
+      protocol: request.protocol,
+      sceneSummary: request.sceneSummary,
+      selection: request.selection,
+      stream: true
     })
   });
 
-  return parseJsonResponse(response);
+  const contentType = response.headers.get("Content-Type") || "";
+  if (!response.ok || !response.body || !contentType.includes("application/x-ndjson")) {
+    return parseJsonResponse(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let result = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    const event = JSON.parse(line);
+    if (event.type === "delta" && typeof event.text === "string") {
+      onDelta?.(event.text);
+    } else if (event.type === "done") {
+      result = {
+        provider: event.provider,
+        response: event.response,
+        operations: Array.isArray(event.operations) ? event.operations : []
+      };
+    } else if (event.type === "error") {
+      throw new Error(event.error || "Streaming request failed.");
+    }
+  };
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      let newlineIndex = buffer.indexOf("\n");
+      while (newlineIndex !== -1) {
+        handleLine(buffer.slice(0, newlineIndex));
+        buffer = buffer.slice(newlineIndex + 1);
+        newlineIndex = buffer.indexOf("\n");
+      }
+    }
+
+    buffer += decoder.decode();
+    handleLine(buffer);
+  } catch (error) {
+    await reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  if (!result) {
+    throw new Error("Response stream ended before the reply was complete.");
+  }
+
+  return result;
 }
 
 export async function validateApiKey(provider, apiKey) {
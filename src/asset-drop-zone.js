@@ -0,0 +1,68 @@
+export function createAssetDropZone({ onFiles }) {
+  const containerEl = document.getElementById("scene-container");
+  const overlayEl = document.getElementById("asset-drop-overlay");
+  const importButtonEl = document.getElementById("asset-import");
+  const fileInputEl = document.getElementById("asset-file-input");
+
+  // dragenter/dragleave fire for every child element, so nesting depth decides visibility.
+  let dragDepth = 0;
+
+  function hasFiles(event) {
+    return Boolean(event.dataTransfer?.types.includes("Files"));
+  }
+
+  function setOverlayVisible(visible) {
+    overlayEl.classList.toggle("hidden", !visible);
+    overlayEl.classList.toggle("flex", visible);
+  }
+
+  containerEl.addEventListener("dragenter", (event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+
+    event.preventDefault();
+    dragDepth += 1;
+    setOverlayVisible(true);
+  });
+
+  containerEl.addEventListener("dragover", (event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+  });
+
+  containerEl.addEventListener("dragleave", () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) {
+      setOverlayVisible(false);
+    }
+  });
+
+  containerEl.addEventListener("drop", (event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+
+    event.preventDefault();
+    dragDepth = 0;
+    setOverlayVisible(false);
+    onFiles([...event.dataTransfer.files]);
+  });
+
+  importButtonEl.addEventListener("click", () => {
+    fileInputEl.click();
+  });
+
+  fileInputEl.addEventListener("change", () => {
+    const files = [...fileInputEl.files];
+    // Reset so picking the same file again still fires a change event.
+    fileInputEl.value = "";
+    if (files.length > 0) {
+      onFiles(files);
+    }
+  });
+}
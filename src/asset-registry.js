@@ -0,0 +1,252 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import * as SkeletonUtils from "three/examples/jsm/utils/SkeletonUtils.js";
+
+const MODEL_EXTENSIONS = new Set(["glb", "gltf", "obj"]);
+const RESOURCE_EXTENSIONS = new Set(["bin", "mtl"]);
+const IMAGE_EXTENSIONS = new Set(["png", "jpg", "jpeg", "webp", "gif", "bmp"]);
+
+function getFileName(path) {
+  return path.split(/[\\/]/).pop();
+}
+
+function getExtension(fileName) {
+  const match = /\.([^./\\]+)$/.exec(fileName);
+  return match ? match[1].toLowerCase() : "";
+}
+
+function toAssetName(fileName) {
+  const stem = getFileName(fileName).replace(/\.[^.]+$/, "");
+  return stem.replace(/[^A-Za-z0-9_-]+/g, "_").replace(/^_+|_+$/g, "") || "asset";
+}
+
+function roundVector(values) {
+  return values.map((value) => Math.round(value * 1000) / 1000);
+}
+
+// Files dropped together are loaded together: every model gets the .bin/.mtl files of the drop.
+// .gltf and .mtl files reference images by relative path, so images next to them are treated as
+// their resources rather than standalone textures.
+function groupFiles(files) {
+  const byExtension = (extensions) =>
+    files.filter((file) => extensions.has(getExtension(file.name)));
+  const models = byExtension(MODEL_EXTENSIONS);
+  const resources = byExtension(RESOURCE_EXTENSIONS);
+  const images = byExtension(IMAGE_EXTENSIONS);
+  const imagesAreResources = files.some((file) =>
+    ["gltf", "mtl"].includes(getExtension(file.name))
+  );
+
+  const groups = models.map((file) => ({
+    kind: "model",
+    files: [file, ...resources, ...(imagesAreResources ? images : [])]
+  }));
+  if (!imagesAreResources) {
+    groups.push(...images.map((file) => ({ kind: "texture", files: [file] })));
+  }
+
+  const used = new Set(groups.flatMap((group) => group.files));
+  return { groups, skipped: files.filter((file) => !used.has(file)).map((file) => file.name) };
+}
+
+function createFileLoadingManager(files) {
+  const urls = new Map(files.map((file) => [getFileName(file.name), URL.createObjectURL(file)]));
+  const manager = new THREE.LoadingManager();
+  let started = false;
+  const idle = new Promise((resolve) => {
+    manager.onLoad = resolve;
+  });
+  manager.onStart = () => {
+    started = true;
+  };
+  manager.setURLModifier((url) => {
+    const fileName = getFileName(url.split(/[?#]/)[0]);
+    return urls.get(fileName) ?? urls.get(decodeURIComponent(fileName)) ?? url;
+  });
+
+  return {
+    manager,
+    // MTL textures load in the background, so object URLs stay alive until the manager is idle.
+    async release() {
+      if (started) {
+        await idle;
+      }
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    }
+  };
+}
+
+async function loadModel(files) {
+  const [mainFile, ...resourceFiles] = files;
+  const { manager, release } = createFileLoadingManager(files);
+
+  try {
+    if (getExtension(mainFile.name) === "obj") {
+      const loader = new OBJLoader(manager);
+      const stem = mainFile.name.replace(/\.[^.]+$/, "");
+      const materialFiles = resourceFiles.filter((file) => getExtension(file.name) === "mtl");
+      const materialFile =
+        materialFiles.find((file) => file.name.startsWith(`${stem}.`)) || materialFiles[0];
+      if (materialFile) {
+        const materials = new MTLLoader(manager).parse(await materialFile.text(), "");
+        materials.preload();
+        loader.setMaterials(materials);
+      }
+
+      return { object: loader.parse(await mainFile.text()), animations: [] };
+    }
+
+    const gltf = await new GLTFLoader(manager).parseAsync(await mainFile.arrayBuffer(), "");
+    return { object: gltf.scene, animations: gltf.animations };
+  } finally {
+    await release();
+  }
+}
+
+async function loadTexture(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const texture = await new THREE.TextureLoader().loadAsync(url);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function describeModel(object, animations) {
+  let meshes = 0;
+  object.traverse((node) => {
+    if (node.isMesh) {
+      meshes += 1;
+    }
+  });
+
+  const box = new THREE.Box3().setFromObject(object);
+  return {
+    meshes,
+    size: box.isEmpty() ? [0, 0, 0] : roundVector(box.getSize(new THREE.Vector3()).toArray()),
+    animations: animations.map((clip) => clip.name)
+  };
+}
+
+export function createAssetRegistry() {
+  const assets = new Map();
+
+  function createUniqueName(fileName) {
+    const baseName = toAssetName(fileName);
+    let name = baseName;
+    for (let suffix = 2; assets.has(name); suffix += 1) {
+      name = `${baseName}_${suffix}`;
+    }
+
+    return name;
+  }
+
+  async function loadAsset(name, kind, files) {
+    const fileName = files[0].name;
+    if (kind === "texture") {
+      const texture = await loadTexture(files[0]);
+      texture.name = name;
+      const info = {
+        name,
+        kind,
+        fileName,
+        width: texture.image?.width ?? 0,
+        height: texture.image?.height ?? 0
+      };
+      assets.set(name, { info, files, texture });
+      return info;
+    }
+
+    const { object, animations } = await loadModel(files);
+    object.name = name;
+    const info = { name, kind, fileName, ...describeModel(object, animations) };
+    assets.set(name, { info, files, object, animations });
+    return info;
+  }
+
+  function get(name) {
+    const asset = assets.get(name);
+    if (!asset) {
+      const available = [...assets.keys()].join(", ") || "none";
+      throw new Error(`Unknown asset '${name}'. Available assets: ${available}.`);
+    }
+
+    if (asset.texture) {
+      return asset.texture;
+    }
+
+    // Materials are cloned so restyling one copy cannot leak into later copies or replays.
+    const object = SkeletonUtils.clone(asset.object);
+    object.traverse((node) => {
+      if (Array.isArray(node.material)) {
+        node.material = node.material.map((material) => material.clone());
+      } else if (node.material) {
+        node.material = node.material.clone();
+      }
+    });
+    object.animations = asset.animations;
+    return object;
+  }
+
+  function list() {
+    return [...assets.values()].map((asset) => ({ ...asset.info }));
+  }
+
+  async function importFiles(files) {
+    const { groups, skipped } = groupFiles(files);
+    const imported = [];
+    const failed = [];
+
+    for (const group of groups) {
+      try {
+        const name = createUniqueName(group.files[0].name);
+        imported.push(await loadAsset(name, group.kind, group.files));
+      } catch (error) {
+        const message = error instanceof Error ? error.message : "Unknown load error.";
+        failed.push({ fileName: group.files[0].name, message });
+      }
+    }
+
+    return { imported, skipped, failed };
+  }
+
+  function serialize() {
+    return [...assets.values()].map(({ info, files }) => ({
+      name: info.name,
+      kind: info.kind,
+      files
+    }));
+  }
+
+  async function restore(records) {
+    assets.clear();
+    const failed = [];
+    for (const record of records) {
+      try {
+        await loadAsset(record.name, record.kind, record.files);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : "Unknown load error.";
+        failed.push({ name: record.name, message });
+      }
+    }
+
+    return failed;
+  }
+
+  return {
+    importFiles,
+    list,
+    serialize,
+    restore,
+    // Only lookups are handed to generated code.
+    api: Object.freeze({
+      get,
+      has: (name) => assets.has(name),
+      list
+    })
+  };
+}
@@ -0,0 +1,83 @@
+import { tokenizer } from "acorn";
+
+const TOKEN_CLASSES = {
+  keyword: "text-violet-300",
+  string: "text-emerald-300",
+  number: "text-amber-300",
+  comment: "italic text-slate-500",
+  regexp: "text-rose-300",
+  global: "text-cyan-300"
+};
+const LITERAL_KEYWORDS = new Set(["true", "false", "null", "undefined"]);
+const SCOPE_NAMES = new Set(["scene", "THREE", "camera", "renderer", "assets", "physics"]);
+
+function classifyToken(token) {
+  const { label, keyword } = token.type;
+  if (keyword) {
+    return LITERAL_KEYWORDS.has(keyword) ? "number" : "keyword";
+  }
+  if (label === "string" || label === "template" || label === "`") {
+    return "string";
+  }
+  if (label === "num") {
+    return "number";
+  }
+  if (label === "regexp") {
+    return "regexp";
+  }
+  if (label === "name") {
+    // Contextual keywords are plain names to the tokenizer.
+    if (["async", "await", "of", "let", "static", "get", "set"].includes(token.value)) {
+      return "keyword";
+    }
+    return SCOPE_NAMES.has(token.value) ? "global" : null;
+  }
+
+  return null;
+}
+
+// Token ranges from acorn's tokenizer. When tokenizing stops at a syntax error, the ranges found
+// so far are kept and the rest stays unstyled.
+function collectRanges(code) {
+  const ranges = [];
+  const onComment = (_block, _text, start, end) => ranges.push({ start, end, kind: "comment" });
+  try {
+    for (const token of tokenizer(code, {
+      ecmaVersion: "latest",
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true,
+      onComment
+    })) {
+      const kind = classifyToken(token);
+      if (kind) {
+        ranges.push({ start: token.start, end: token.end, kind });
+      }
+    }
+  } catch {
+    // Unstyled from here on.
+  }
+
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+// Returns a <code> element with syntax-colored spans for JavaScript (or JSON) source.
+export function createHighlightedCode(code) {
+  const codeEl = document.createElement("code");
+  let cursor = 0;
+  collectRanges(code).forEach(({ start, end, kind }) => {
+    if (start < cursor) {
+      return;
+    }
+    if (start > cursor) {
+      codeEl.append(code.slice(cursor, start));
+    }
+
+    const span = document.createElement("span");
+    span.className = TOKEN_CLASSES[kind];
+    span.textContent = code.slice(start, end);
+    codeEl.appendChild(span);
+    cursor = end;
+  });
+  codeEl.append(code.slice(cursor));
+  return codeEl;
+}
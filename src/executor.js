@@ -1,3 +1,5 @@
+import { parse } from "acorn";
+
 const codeFencePattern = /```(?:javascript|js|threejs)?\s*([\s\S]*?)```/gi;
 
 export function extractCode(text) {
@@ -20,26 +22,1165 @@ export function extractCode(text) {
   return looksLikeCode ? text.trim() : null;
 }
 
-export function stripCodeBlocks(text) {
-  if (typeof text !== "string") {
-    return "";
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+const GeneratorFunction = Object.getPrototypeOf(function* () {}).constructor;
+const AsyncGeneratorFunction = Object.getPrototypeOf(async function* () {}).constructor;
+const SANDBOX_NAME = "__sandbox";
+const DEFAULT_RUN_TIMEOUT_MS = 2000;
+const DEFAULT_ASYNC_TIMEOUT_MS = 30000;
+// How long sandboxed code may keep the page from handling events, even when the work is split
+// across many awaits or promise callbacks.
+const TURN_BUDGET_MS = 2000;
+
+const contextNames = ["scene", "THREE", "camera", "renderer", "assets", "physics"];
+
+// The only globals sandboxed code can reach. Every other global it names, such as `window`,
+// `document`, `fetch`, `setTimeout` or `Function`, is bound to a stand-in that throws.
+const sandboxGlobalNames = [
+  "arguments",
+  "undefined",
+  "NaN",
+  "Infinity",
+  "Math",
+  "Number",
+  "String",
+  "Boolean",
+  "BigInt",
+  "Symbol",
+  "Array",
+  "Object",
+  "JSON",
+  "Date",
+  "RegExp",
+  "Map",
+  "Set",
+  "WeakMap",
+  "WeakSet",
+  "WeakRef",
+  "Promise",
+  "Proxy",
+  "Reflect",
+  "Intl",
+  "Error",
+  "TypeError",
+  "RangeError",
+  "ReferenceError",
+  "SyntaxError",
+  "AggregateError",
+  "isFinite",
+  "isNaN",
+  "parseFloat",
+  "parseInt",
+  "encodeURIComponent",
+  "decodeURIComponent",
+  "structuredClone",
+  "performance",
+  "console",
+  "ArrayBuffer",
+  "DataView",
+  "Float32Array",
+  "Float64Array",
+  "Int8Array",
+  "Int16Array",
+  "Int32Array",
+  "Uint8Array",
+  "Uint8ClampedArray",
+  "Uint16Array",
+  "Uint32Array",
+  "BigInt64Array",
+  "BigUint64Array"
+];
+
+const sandboxScopeNames = new Set([...contextNames, ...sandboxGlobalNames]);
+
+function createBlockedGlobal(name) {
+  // A plain function, not an arrow, so `new Image()` reaches the construct trap.
+  const block = function () {
+    throw new Error(`\`${name}\` is not available to sandboxed scene code.`);
+  };
+
+  return new Proxy(block, {
+    get: block,
+    set: block,
+    has: block,
+    apply: block,
+    construct: block
+  });
+}
+
+// Values that lead back to the page, such as `renderer.domElement` and its
+// `ownerDocument.defaultView`, and the constructors that compile strings in the global scope.
+// Sandboxed code throws as soon as it reads, receives or passes one of them.
+const hiddenPrototypes = new Set(
+  ["EventTarget", "Storage", "Location", "Navigator", "History"]
+    .map((name) => globalThis[name]?.prototype)
+    .filter(Boolean)
+);
+const hiddenValues = new WeakSet([
+  Function,
+  AsyncFunction,
+  GeneratorFunction,
+  AsyncGeneratorFunction
+]);
+
+// Whether each prototype seen so far leads to a hidden one. Hidden prototypes are unreachable,
+// so sandboxed code cannot change the answer later.
+const checkedPrototypes = new WeakMap();
+
+function extendsHidden(object) {
+  if (hiddenPrototypes.has(object)) {
+    return true;
+  }
+
+  const prototype = Object.getPrototypeOf(object);
+  if (prototype === null) {
+    return false;
+  }
+  if (!checkedPrototypes.has(prototype)) {
+    checkedPrototypes.set(prototype, extendsHidden(prototype));
+  }
+  return checkedPrototypes.get(prototype);
+}
+
+function isHidden(value) {
+  if (value === null || (typeof value !== "object" && typeof value !== "function")) {
+    return false;
+  }
+  if (hiddenValues.has(value)) {
+    return true;
+  }
+  return typeof value === "object" && value !== globalThis.performance && extendsHidden(value);
+}
+
+function assertVisible(value, description) {
+  if (isHidden(value)) {
+    throw new Error(`${description} is not available to sandboxed scene code.`);
+  }
+  return value;
+}
+
+// Call results are also checked a few levels into plain arrays and objects, so that helpers like
+// `Object.values` or `Object.getOwnPropertyDescriptor` cannot hand over a hidden value.
+function assertVisibleResult(value, description, depth = 3) {
+  assertVisible(value, description);
+  if (depth === 0 || value === null || typeof value !== "object") {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    for (let index = 0; index < value.length; index += 1) {
+      assertVisibleResult(value[index], description, depth - 1);
+    }
+  } else if ([Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    for (const key of Reflect.ownKeys(value)) {
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      assertVisibleResult(descriptor?.value, description, depth - 1);
+    }
+  }
+  return value;
+}
+
+function describeKey(key) {
+  return `\`${String(key)}\``;
+}
+
+function isSandboxUrl(url) {
+  const { protocol, origin } = new URL(url, window.location.href);
+  return protocol === "data:" || protocol === "blob:" || origin === window.location.origin;
+}
+
+const sandboxNamespaces = new WeakMap();
+
+// Loaders reach the network through their LoadingManager, so sandboxed code gets loader classes
+// whose manager only resolves same-origin, data: and blob: URLs. The original classes and their
+// methods are hidden, so they cannot be called on a loader with a forged manager.
+function getSandboxNamespace(namespace) {
+  const { Loader, LoadingManager } = namespace ?? {};
+  if (typeof Loader !== "function" || typeof LoadingManager !== "function") {
+    return namespace;
+  }
+  if (sandboxNamespaces.has(namespace)) {
+    return sandboxNamespaces.get(namespace);
+  }
+
+  const managers = new WeakSet();
+  const loaders = new WeakSet();
+
+  class SandboxLoadingManager extends LoadingManager {
+    constructor(...args) {
+      super(...args);
+      const resolveURL = this.resolveURL;
+      Object.defineProperty(this, "resolveURL", {
+        value: (url) => {
+          const resolved = resolveURL(url);
+          if (!isSandboxUrl(resolved)) {
+            throw new Error(
+              `Sandboxed scene code can only load same-origin, data: and blob: URLs, not ${url}.`
+            );
+          }
+          return resolved;
+        },
+        writable: false,
+        configurable: false
+      });
+      managers.add(this);
+    }
+  }
+
+  const defaultManager = new SandboxLoadingManager();
+  const assertSandboxLoader = (loader) => {
+    if (!loaders.has(loader) || !managers.has(loader.manager)) {
+      throw new Error("Sandboxed loaders must be created in the sandbox with its LoadingManager.");
+    }
+  };
+
+  const sandboxLoaders = new Map();
+  const wrapLoader = (Base) => {
+    if (sandboxLoaders.has(Base)) {
+      return sandboxLoaders.get(Base);
+    }
+
+    class SandboxLoader extends Base {
+      constructor(manager, ...args) {
+        super(managers.has(manager) ? manager : defaultManager, ...args);
+        loaders.add(this);
+      }
+    }
+    Object.defineProperty(SandboxLoader, "name", { value: Base.name });
+
+    hiddenValues.add(Base);
+    for (let prototype = Base.prototype; prototype !== Object.prototype;) {
+      hiddenValues.add(prototype);
+      for (const key of Reflect.ownKeys(prototype)) {
+        const method = Object.getOwnPropertyDescriptor(prototype, key).value;
+        if (key === "constructor" || typeof method !== "function") {
+          continue;
+        }
+        hiddenValues.add(method);
+        if (!Object.hasOwn(SandboxLoader.prototype, key)) {
+          Object.defineProperty(SandboxLoader.prototype, key, {
+            value(...args) {
+              assertSandboxLoader(this);
+              return method.apply(this, args);
+            },
+            writable: true,
+            configurable: true
+          });
+        }
+      }
+      prototype = Object.getPrototypeOf(prototype);
+    }
+
+    sandboxLoaders.set(Base, SandboxLoader);
+    return SandboxLoader;
+  };
+
+  const sandboxNamespace = Object.fromEntries(
+    Object.entries(namespace).map(([name, value]) => {
+      const isLoader =
+        typeof value === "function" && (value === Loader || value.prototype instanceof Loader);
+      return [name, isLoader ? wrapLoader(value) : value];
+    })
+  );
+  sandboxNamespace.LoadingManager = SandboxLoadingManager;
+  sandboxNamespace.DefaultLoadingManager = defaultManager;
+  hiddenValues.add(LoadingManager);
+  hiddenValues.add(LoadingManager.prototype);
+  if (namespace.DefaultLoadingManager) {
+    hiddenValues.add(namespace.DefaultLoadingManager);
+  }
+
+  sandboxNamespaces.set(namespace, sandboxNamespace);
+  return sandboxNamespace;
+}
+
+let activeDeadline = Infinity;
+let activeBudgetMs = 0;
+
+// Sandboxed functions enter a frame when they start and when an `await` resumes. The outermost
+// frame gets the budget of the current animation callback (see runWithTimeBudget) or else its
+// own, so every callback the page calls into, from render hooks to promise callbacks, is limited.
+let frameDepth = 0;
+let frameDeadline = Infinity;
+let frameBudgetMs = 0;
+let turnDeadline = Infinity;
+
+function checkFrameDeadline() {
+  const now = performance.now();
+  if (now > frameDeadline) {
+    throw new Error(`Execution exceeded its ${frameBudgetMs} ms budget (possible infinite loop).`);
+  }
+  if (now > turnDeadline) {
+    throw new Error(
+      `Sandboxed code kept the page busy for over ${TURN_BUDGET_MS} ms (possible infinite loop).`
+    );
+  }
+}
+
+function enterFrame(budgetMs) {
+  frameDepth += 1;
+  if (frameDepth === 1) {
+    const now = performance.now();
+    // Microtasks run before timers, so this stays set while awaits keep chaining.
+    if (turnDeadline === Infinity) {
+      turnDeadline = now + TURN_BUDGET_MS;
+      window.setTimeout(() => {
+        turnDeadline = Infinity;
+      }, 0);
+    }
+
+    const framed = activeDeadline !== Infinity;
+    frameBudgetMs = framed ? activeBudgetMs : budgetMs;
+    frameDeadline = framed ? activeDeadline : now + budgetMs;
+  }
+  checkFrameDeadline();
+}
+
+function exitFrame() {
+  frameDepth -= 1;
+  if (frameDepth === 0) {
+    frameDeadline = Infinity;
+  }
+}
+
+function callMethod(object, key, method, args) {
+  if (typeof method !== "function") {
+    throw new TypeError(`${String(key)} is not a function`);
+  }
+  assertVisible(method, describeKey(key));
+  args.forEach((arg) => assertVisible(arg, `An argument of ${describeKey(key)}`));
+  return assertVisibleResult(
+    Reflect.apply(method, object, args),
+    `The result of ${describeKey(key)}`
+  );
+}
+
+function callFunction(callee, args) {
+  if (typeof callee !== "function") {
+    throw new TypeError(`${callee === null ? "null" : typeof callee} is not a function`);
+  }
+  assertVisible(callee, "This function");
+  args.forEach((arg) => assertVisible(arg, "A function argument"));
+  return assertVisibleResult(Reflect.apply(callee, undefined, args), "A function result");
+}
+
+function* iterateVisible(iterable) {
+  for (const value of iterable) {
+    yield assertVisible(value, "An iterated value");
+  }
+}
+
+// Instrumented code reaches every value through these checks; see instrumentCode.
+const sandboxAccess = {
+  read(object, key) {
+    assertVisible(object, describeKey(key));
+    return assertVisible(object[key], describeKey(key));
+  },
+  readOptional(object, key) {
+    return object == null ? undefined : sandboxAccess.read(object, key);
+  },
+  target(object) {
+    return assertVisible(object, "This object");
+  },
+  callMember(object, key, ...args) {
+    assertVisible(object, describeKey(key));
+    return callMethod(object, key, object[key], args);
+  },
+  callMemberOptional(object, key, ...args) {
+    if (object == null) {
+      return undefined;
+    }
+    assertVisible(object, describeKey(key));
+    const method = object[key];
+    return method == null ? undefined : callMethod(object, key, method, args);
+  },
+  call(callee, ...args) {
+    return callFunction(callee, args);
+  },
+  callOptional(callee, ...args) {
+    return callee == null ? undefined : callFunction(callee, args);
+  },
+  construct(constructor, ...args) {
+    if (typeof constructor !== "function") {
+      throw new TypeError(`${typeof constructor} is not a constructor`);
+    }
+    assertVisible(constructor, "This constructor");
+    args.forEach((arg) => assertVisible(arg, "A constructor argument"));
+    return assertVisibleResult(Reflect.construct(constructor, args), "A constructed value");
+  },
+  iterate(iterable) {
+    return iterateVisible(assertVisible(iterable, "This iterable"));
+  },
+  spread(object) {
+    assertVisible(object, "This object");
+    if (object !== null && typeof object === "object") {
+      Object.keys(object).forEach((key) => {
+        assertVisible(Object.getOwnPropertyDescriptor(object, key)?.value, describeKey(key));
+      });
+    }
+    return object;
+  },
+  check(...values) {
+    values.forEach((value) => assertVisible(value, "A destructured value"));
+  },
+  checked(result, ...values) {
+    sandboxAccess.check(...values);
+    return result;
+  }
+};
+
+// The helpers one sandboxed run or rebound callback calls into. `runTimeoutMs` is the deadline of
+// the whole run: until it finishes, loops and resumed awaits throw once it has passed.
+function createSandboxRuntime(sliceBudgetMs, runTimeoutMs = Infinity) {
+  const runDeadline = performance.now() + runTimeoutMs;
+  let finished = false;
+  let cancelled = false;
+
+  const assertRunning = () => {
+    if (cancelled) {
+      throw new Error("Sandboxed code was stopped because its run failed or timed out.");
+    }
+    if (!finished && performance.now() > runDeadline) {
+      throw new Error(`Execution did not finish within ${runTimeoutMs} ms.`);
+    }
+  };
+
+  const sandbox = Object.freeze({
+    ...sandboxAccess,
+    enter(...params) {
+      enterFrame(sliceBudgetMs);
+      assertRunning();
+      sandboxAccess.check(...params);
+    },
+    exit: exitFrame,
+    guard() {
+      assertRunning();
+      checkFrameDeadline();
+    },
+    suspend(value) {
+      exitFrame();
+      return Promise.resolve(value).then(
+        (result) => ({ result }),
+        (error) => ({ error, failed: true })
+      );
+    },
+    resume(outcome) {
+      enterFrame(sliceBudgetMs);
+      assertRunning();
+      if (outcome.failed) {
+        throw outcome.error;
+      }
+      return assertVisible(outcome.result, "The awaited value");
+    }
+  });
+
+  return {
+    sandbox,
+    finish() {
+      finished = true;
+    },
+    cancel() {
+      cancelled = true;
+    }
+  };
+}
+
+function withTimeout(promise, timeoutMs, onTimeout) {
+  let timeoutId = 0;
+  const timeout = new Promise((_resolve, reject) => {
+    timeoutId = window.setTimeout(() => {
+      onTimeout();
+      reject(new Error(`Execution did not finish within ${timeoutMs} ms.`));
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => {
+    window.clearTimeout(timeoutId);
+  });
+}
+
+function isNameOnly(parent, key) {
+  return (
+    (key === "property" && parent.type === "MemberExpression" && !parent.computed) ||
+    (key === "key" && !parent.computed) ||
+    key === "label" ||
+    parent?.type === "MetaProperty"
+  );
+}
+
+// `eval` and dynamic imports run code outside the instrumented scope, and async iteration
+// cannot be checked, so sandboxed code may not use them at all. Returns the first offending node
+// and why, or null.
+function findSandboxViolation(program) {
+  let violation = null;
+
+  const visit = (node, parent, key) => {
+    if (violation || !node || typeof node.type !== "string") {
+      return;
+    }
+
+    if (node.type === "ImportExpression") {
+      violation = { node, message: "`import()` is not available to sandboxed scene code." };
+      return;
+    }
+    if (node.type === "MetaProperty" && node.meta.name === "import") {
+      violation = { node, message: "`import.meta` is not available to sandboxed scene code." };
+      return;
+    }
+    if (node.type === "ForOfStatement" && node.await) {
+      violation = { node, message: "`for await` is not available to sandboxed scene code." };
+      return;
+    }
+    if (node.async && node.generator) {
+      violation = {
+        node,
+        message: "Async generators are not available to sandboxed scene code."
+      };
+      return;
+    }
+    if (node.type === "Identifier" && !isNameOnly(parent, key)) {
+      if (node.name === "eval") {
+        violation = { node, message: "`eval` is not available to sandboxed scene code." };
+      } else if (node.name.startsWith(SANDBOX_NAME)) {
+        violation = { node, message: `Names starting with ${SANDBOX_NAME} are reserved.` };
+      }
+      return;
+    }
+
+    for (const [childKey, value] of Object.entries(node)) {
+      if (Array.isArray(value)) {
+        value.forEach((child) => visit(child, node, childKey));
+      } else if (value && typeof value === "object") {
+        visit(value, node, childKey);
+      }
+    }
+  };
+
+  visit(program, null, null);
+  return violation;
+}
+
+const loopNodeTypes = new Set([
+  "WhileStatement",
+  "DoWhileStatement",
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement"
+]);
+
+const functionNodeTypes = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression"
+]);
+
+const patternNodeTypes = new Set(["ObjectPattern", "ArrayPattern"]);
+
+// Finds the next of `tokens` from `index` on, skipping whitespace, comments and the closing
+// parentheses of a parenthesized operand. Returns null if `limit` comes first.
+function findToken(code, index, tokens, limit = code.length) {
+  let position = index;
+  while (position < limit) {
+    if (code.startsWith("//", position)) {
+      const lineEnd = code.indexOf("\n", position);
+      position = lineEnd === -1 ? limit : lineEnd + 1;
+    } else if (code.startsWith("/*", position)) {
+      position = code.indexOf("*/", position + 2) + 2;
+    } else {
+      const token = tokens.find((candidate) => code.startsWith(candidate, position));
+      if (token) {
+        return { start: position, end: position + token.length };
+      }
+      position += 1;
+    }
+  }
+  return null;
+}
+
+// Edits at the same index apply closers inside-out, then openers outside-in, then replacements.
+function applyEdits(code, edits, start, end) {
+  let result = "";
+  let index = start;
+  [...edits]
+    .sort((a, b) => a.start - b.start || b.rank - a.rank)
+    .forEach((edit) => {
+      result += code.slice(index, edit.start) + edit.text;
+      index = Math.max(index, edit.end);
+    });
+  return result + code.slice(index, end);
+}
+
+function collectPatternNames(patterns) {
+  const names = new Set();
+  patterns.forEach((pattern) => collectBindingNames(pattern, names));
+  return [...names].join(", ");
+}
+
+function hasOptionalLink(node) {
+  for (let link = node; link; link = link.object ?? link.callee) {
+    if (link.type !== "MemberExpression" && link.type !== "CallExpression") {
+      return false;
+    }
+    if (link.optional) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Instrumented text of every sandboxed function, mapped to the text it was written as.
+const functionSources = new Map();
+
+// Rewrites `root` so that every property read, call, `new`, `await`, iteration and destructuring
+// goes through the sandbox helpers, which reject hidden values; every function and loop checks
+// the time budgets. Returns the edits, the names the code refers to and its functions.
+function collectInstrumentation(code, root) {
+  const edits = [];
+  const functions = [];
+  const referencedNames = new Set();
+  const callees = new Set();
+  const targets = new Set();
+  const functionStarts = new Map();
+
+  const insert = (index, text, depth) =>
+    edits.push({ start: index, end: index, text, rank: -depth });
+  const close = (index, text, depth) =>
+    edits.push({ start: index, end: index, text, rank: 1e6 + depth });
+  const replace = (start, end, text) => edits.push({ start, end, text, rank: -1e9 });
+  const replaceToken = (index, tokens, text, limit) => {
+    const token = findToken(code, index, tokens, limit);
+    if (token) {
+      replace(token.start, token.end, text);
+    }
+    return token;
+  };
+  const helper = (name) => `${SANDBOX_NAME}.${name}(`;
+  const markTarget = (node) => {
+    if (node?.type === "MemberExpression") {
+      targets.add(node);
+    }
+  };
+
+  // Turns `object.key` / `object[key]` into `object, "key"` followed by `closing`.
+  const rewriteMemberAccess = (node, closing, depth) => {
+    replaceToken(node.object.end, ["?.[", "?.", ".", "["], ", ");
+    if (node.computed) {
+      replaceToken(node.property.end, ["]"], closing);
+    } else {
+      replace(node.property.start, node.property.end, JSON.stringify(node.property.name));
+      if (closing) {
+        close(node.end, closing, depth);
+      }
+    }
+  };
+
+  const wrap = (node, name, depth) => {
+    insert(node.start, helper(name), depth);
+    close(node.end, ")", depth);
+  };
+
+  const guardBody = (node, names, depth) => {
+    const prefix = `${SANDBOX_NAME}.guard();${names ? `${SANDBOX_NAME}.check(${names});` : ""}`;
+    if (node.body.type === "BlockStatement") {
+      insert(node.body.start + 1, prefix, depth);
+    } else {
+      insert(node.body.start, `{${prefix}`, depth);
+      close(node.body.end, "}", depth);
+    }
+  };
+
+  const visit = (node, parent, key, depth) => {
+    if (!node || typeof node.type !== "string") {
+      return;
+    }
+    const first = edits.length;
+
+    switch (node.type) {
+      case "Identifier":
+        if (!isNameOnly(parent, key)) {
+          referencedNames.add(node.name);
+        }
+        return;
+      case "MemberExpression":
+        if (
+          node.object.type === "Super" ||
+          node.property.type === "PrivateIdentifier" ||
+          callees.has(node)
+        ) {
+          break;
+        }
+        if (targets.has(node)) {
+          wrap(node.object, "target", depth + 0.5);
+          break;
+        }
+        insert(node.start, helper(hasOptionalLink(node) ? "readOptional" : "read"), depth);
+        rewriteMemberAccess(node, ")", depth);
+        break;
+      case "CallExpression": {
+        const { callee } = node;
+        const isMember = callee.type === "MemberExpression";
+        if (
+          callee.type === "Super" ||
+          (isMember &&
+            (callee.object.type === "Super" || callee.property.type === "PrivateIdentifier"))
+        ) {
+          break;
+        }
+        const optional = hasOptionalLink(node) ? "Optional" : "";
+        if (isMember && callee.start === node.start) {
+          callees.add(callee);
+          insert(node.start, helper(`callMember${optional}`), depth);
+          rewriteMemberAccess(callee, "", depth);
+        } else {
+          insert(node.start, helper(`call${optional}`), depth);
+        }
+        replaceToken(callee.end, ["?.(", "("], ", ");
+        break;
+      }
+      case "NewExpression":
+        replace(node.start, node.start + "new".length, helper("construct"));
+        if (!replaceToken(node.callee.end, ["("], ", ", node.end)) {
+          close(node.end, ")", depth);
+        }
+        break;
+      case "AwaitExpression":
+        insert(node.start, helper("resume"), depth);
+        wrap(node.argument, "suspend", depth + 0.5);
+        close(node.end, ")", depth);
+        break;
+      case "SpreadElement":
+        wrap(node.argument, parent.type === "ObjectExpression" ? "spread" : "iterate", depth + 0.5);
+        break;
+      case "AssignmentExpression": {
+        markTarget(node.left);
+        const names = patternNodeTypes.has(node.left.type) ? collectPatternNames([node.left]) : "";
+        if (names) {
+          insert(node.start, helper("checked"), depth);
+          close(node.end, `, ${names})`, depth);
+        }
+        break;
+      }
+      case "UpdateExpression":
+        markTarget(node.argument);
+        break;
+      case "UnaryExpression":
+        if (node.operator === "delete") {
+          markTarget(node.argument);
+        }
+        break;
+      case "ArrayPattern":
+        node.elements.forEach(markTarget);
+        break;
+      case "ObjectPattern":
+        node.properties.forEach((property) =>
+          markTarget(property.type === "RestElement" ? property.argument : property.value)
+        );
+        break;
+      case "RestElement":
+        markTarget(node.argument);
+        break;
+      case "AssignmentPattern":
+        markTarget(node.left);
+        break;
+      case "VariableDeclaration": {
+        const names = collectPatternNames(
+          node.declarations
+            .map((declarator) => declarator.id)
+            .filter((id) => patternNodeTypes.has(id.type))
+        );
+        if (names && !loopNodeTypes.has(parent?.type)) {
+          close(node.end, `;${SANDBOX_NAME}.check(${names});`, depth);
+        }
+        break;
+      }
+      case "CatchClause":
+        if (node.param) {
+          insert(
+            node.body.start + 1,
+            `${SANDBOX_NAME}.check(${collectPatternNames([node.param])});`,
+            depth
+          );
+        }
+        break;
+      case "Property":
+      case "MethodDefinition":
+        // Methods print from their key, so their source is looked up by that range.
+        if (node.value.type === "FunctionExpression" && (node.kind !== "init" || node.method)) {
+          functionStarts.set(node.value, node.static ? -1 : node.start);
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (loopNodeTypes.has(node.type)) {
+      const declarations = node.type === "ForStatement" ? node.init : node.left;
+      const patterns =
+        declarations?.type === "VariableDeclaration"
+          ? declarations.declarations.map((declarator) => declarator.id)
+          : [declarations];
+      guardBody(
+        node,
+        collectPatternNames(patterns.filter((pattern) => patternNodeTypes.has(pattern?.type))),
+        depth
+      );
+      if (node.type === "ForInStatement" || node.type === "ForOfStatement") {
+        markTarget(node.left);
+      }
+      if (node.type === "ForOfStatement") {
+        wrap(node.right, "iterate", depth + 0.5);
+      }
+    }
+
+    if (functionNodeTypes.has(node.type) && !node.generator) {
+      const names = collectPatternNames(node.params);
+      const enter = `try { ${SANDBOX_NAME}.enter(${names}); `;
+      const exit = `} finally { ${SANDBOX_NAME}.exit(); }`;
+      if (node.body.type === "BlockStatement" && node.body.body.length === 0) {
+        insert(node.body.start + 1, `${enter}${exit}`, depth);
+      } else if (node.body.type === "BlockStatement") {
+        insert(node.body.start + 1, enter, depth);
+        close(node.body.end - 1, ` ${exit}`, depth);
+      } else {
+        const arrow = findToken(code, node.params.at(-1)?.end ?? node.start, ["=>"]);
+        insert(arrow.end, ` { ${enter}return (`, depth);
+        close(node.end, `); ${exit} }`, depth);
+      }
+    }
+
+    for (const [childKey, value] of Object.entries(node)) {
+      if (Array.isArray(value)) {
+        value.forEach((child) => visit(child, node, childKey, depth + 1));
+      } else if (value && typeof value === "object") {
+        visit(value, node, childKey, depth + 1);
+      }
+    }
+
+    if (functionNodeTypes.has(node.type)) {
+      const start = functionStarts.get(node) ?? node.start;
+      functions.push({ node, start, edits: edits.slice(first) });
+    }
+  };
+
+  visit(root, null, null, 0);
+  return { edits, functions, referencedNames };
+}
+
+function registerFunctionSources(code, functions) {
+  functions
+    .filter(({ start }) => start >= 0)
+    .forEach(({ node, start, edits }) => {
+      functionSources.set(applyEdits(code, edits, start, node.end), code.slice(start, node.end));
+    });
+}
+
+// Stand-ins for every name the code refers to outside the sandbox scope. Local names get one as
+// well; their declarations shadow it.
+function listBlockedNames(referencedNames) {
+  return [...referencedNames].filter((name) => !sandboxScopeNames.has(name));
+}
+
+function instrumentCode(code) {
+  let program;
+  try {
+    program = parse(code, {
+      ecmaVersion: "latest",
+      sourceType: "script",
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true
+    });
+  } catch (error) {
+    throw new SyntaxError(error instanceof Error ? error.message : "Invalid JavaScript.");
+  }
+
+  const violation = findSandboxViolation(program);
+  if (violation) {
+    throw new Error(violation.message);
+  }
+
+  const { edits, functions, referencedNames } = collectInstrumentation(code, program);
+  registerFunctionSources(code, functions);
+  // The whole run is one more frame, outside every other edit.
+  const end = code.length;
+  edits.push(
+    { start: 0, end: 0, text: `try { ${SANDBOX_NAME}.enter(); `, rank: 1 },
+    { start: end, end, text: `\n} finally { ${SANDBOX_NAME}.exit(); }`, rank: 0 }
+  );
+
+  return {
+    code: applyEdits(code, edits, 0, code.length),
+    blockedNames: listBlockedNames(referencedNames)
+  };
+}
+
+// The source a sandboxed function was written as, rather than its instrumented text.
+export function getFunctionSource(fn) {
+  const source = Function.prototype.toString.call(fn);
+  return functionSources.get(source) ?? source;
+}
+
+function collectBindingNames(pattern, names) {
+  if (!pattern) {
+    return;
+  }
+
+  if (pattern.type === "Identifier") {
+    names.add(pattern.name);
+  } else if (pattern.type === "ObjectPattern") {
+    pattern.properties.forEach((property) => {
+      const target = property.type === "RestElement" ? property.argument : property.value;
+      collectBindingNames(target, names);
+    });
+  } else if (pattern.type === "ArrayPattern") {
+    pattern.elements.forEach((element) => collectBindingNames(element, names));
+  } else if (pattern.type === "RestElement") {
+    collectBindingNames(pattern.argument, names);
+  } else if (pattern.type === "AssignmentPattern") {
+    collectBindingNames(pattern.left, names);
+  }
+}
+
+// Declarations are treated as function-wide, which is enough to tell whether a callback
+// depends on variables from the scope it was created in.
+function collectFreeIdentifiers(root) {
+  const declared = new Set();
+  // First reference to each name, so callers can point at where it is used.
+  const referenced = new Map();
+
+  const visit = (node, parent, key) => {
+    if (!node || typeof node.type !== "string") {
+      return;
+    }
+
+    if (node.type === "Identifier") {
+      if (!isNameOnly(parent, key) && !referenced.has(node.name)) {
+        referenced.set(node.name, node);
+      }
+      return;
+    }
+
+    if (node.type === "VariableDeclarator") {
+      collectBindingNames(node.id, declared);
+    } else if (node.type === "CatchClause") {
+      collectBindingNames(node.param, declared);
+    } else if (node.params) {
+      node.params.forEach((param) => collectBindingNames(param, declared));
+    }
+
+    if (node.id?.type === "Identifier" && node.type !== "VariableDeclarator") {
+      declared.add(node.id.name);
+    }
+
+    for (const [childKey, value] of Object.entries(node)) {
+      if (Array.isArray(value)) {
+        value.forEach((child) => visit(child, node, childKey));
+      } else if (value && typeof value === "object") {
+        visit(value, node, childKey);
+      }
+    }
+  };
+
+  visit(root, null, null);
+  return [...referenced.values()].filter((node) => !declared.has(node.name));
+}
+
+function parseFunctionSource(source) {
+  let program;
+  try {
+    program = parse(`(${source})`, { ecmaVersion: "latest", sourceType: "script" });
+  } catch {
+    throw new Error("Callback source is not a standalone function expression.");
+  }
+
+  const expression = program.body.length === 1 ? program.body[0].expression : null;
+  const isFunction =
+    expression?.type === "ArrowFunctionExpression" || expression?.type === "FunctionExpression";
+  if (!isFunction || expression.start !== 1 || expression.end !== source.length + 1) {
+    throw new Error("Callback source is not a standalone function expression.");
   }
 
-  return text.replace(codeFencePattern, "").trim();
+  return expression;
 }
 
-export function executeCode(code, context) {
+// Re-creates a callback (such as `userData.update`) from its source after its scene objects were
+// deserialized. Only callbacks that reach the scene through `scene`, `THREE`, `camera`,
+// `renderer`, `assets` and `physics` can be rebound; closures over local variables throw.
+export function bindCallbackSource(source, context) {
+  if (typeof source !== "string") {
+    throw new Error("Callback source must be a string.");
+  }
+
+  const expression = parseFunctionSource(source);
+  const freeNames = collectFreeIdentifiers(expression)
+    .map((node) => node.name)
+    .filter((name) => !sandboxScopeNames.has(name));
+  if (freeNames.length > 0) {
+    throw new Error(`Callback depends on ${freeNames.join(", ")} from its original scope.`);
+  }
+
+  const violation = findSandboxViolation(expression);
+  if (violation) {
+    throw new Error(violation.message);
+  }
+
+  const code = `(${source})`;
+  const { edits, functions, referencedNames } = collectInstrumentation(code, expression);
+  registerFunctionSources(code, functions);
+  const blockedNames = listBlockedNames(referencedNames);
+
+  const factory = new Function(
+    ...contextNames,
+    SANDBOX_NAME,
+    ...blockedNames,
+    `"use strict";\nreturn ${applyEdits(code, edits, expression.start, expression.end)};`
+  );
+
+  return factory(
+    context.scene,
+    getSandboxNamespace(context.THREE),
+    context.camera,
+    context.renderer,
+    context.assets,
+    context.physics,
+    createSandboxRuntime(DEFAULT_RUN_TIMEOUT_MS).sandbox,
+    ...blockedNames.map(createBlockedGlobal)
+  );
+}
+
+const wallClockReads = new Set(["Date.now", "performance.now"]);
+
+// Problems an editor can show before code runs, as `{ severity, line, column, message }` with
+// 1-based lines and 0-based columns: syntax errors, code and globals the sandbox blocks, and
+// wall-clock reads that ignore the animation timeline.
+export function lintCode(code, { sandboxed = true } = {}) {
+  let program;
+  try {
+    program = parse(code, {
+      ecmaVersion: "latest",
+      sourceType: "script",
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      locations: true
+    });
+  } catch (error) {
+    const { line = 1, column = 0 } = error?.loc ?? {};
+    // Acorn appends the position to its messages; the problem carries it separately.
+    const message = error instanceof Error ? error.message : "Invalid JavaScript.";
+    return [{ severity: "error", line, column, message: message.replace(/ \(\d+:\d+\)$/, "") }];
+  }
+
+  const problems = [];
+  const addWarning = (node, message) =>
+    problems.push({
+      severity: "warning",
+      line: node.loc.start.line,
+      column: node.loc.start.column,
+      message
+    });
+
+  if (sandboxed) {
+    const violation = findSandboxViolation(program);
+    if (violation) {
+      const { line, column } = violation.node.loc.start;
+      problems.push({ severity: "error", line, column, message: violation.message });
+    }
+
+    collectFreeIdentifiers(program)
+      .filter((node) => !sandboxScopeNames.has(node.name))
+      .forEach((node) => addWarning(node, `\`${node.name}\` is blocked by the sandbox.`));
+  }
+
+  const visit = (node) => {
+    if (!node || typeof node.type !== "string") {
+      return;
+    }
+
+    const memberName =
+      node.type === "MemberExpression" && !node.computed && node.object.type === "Identifier"
+        ? `${node.object.name}.${node.property.name}`
+        : "";
+    if (wallClockReads.has(memberName)) {
+      addWarning(
+        node,
+        `${memberName}() ignores pause, scrubbing and recording. Use the time argument of update.`
+      );
+    }
+
+    for (const value of Object.values(node)) {
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value && typeof value === "object") {
+        visit(value);
+      }
+    }
+  };
+
+  visit(program);
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+export function runWithTimeBudget(budgetMs, callback) {
+  const previousDeadline = activeDeadline;
+  const previousBudgetMs = activeBudgetMs;
+  activeDeadline = performance.now() + budgetMs;
+  activeBudgetMs = budgetMs;
+
+  try {
+    return callback();
+  } finally {
+    activeDeadline = previousDeadline;
+    activeBudgetMs = previousBudgetMs;
+  }
+}
+
+export async function executeCode(code, context, options = {}) {
+  const {
+    sandboxed = true,
+    timeoutMs = DEFAULT_RUN_TIMEOUT_MS,
+    asyncTimeoutMs = DEFAULT_ASYNC_TIMEOUT_MS
+  } = options;
+
   if (typeof code !== "string" || code.trim().length === 0) {
     throw new Error("No executable code was provided.");
   }
 
-  const runner = new Function(
-    "scene",
-    "THREE",
-    "camera",
-    "renderer",
-    `"use strict";\n${code}`
+  const contextValues = (THREE) => [
+    context.scene,
+    THREE,
+    context.camera,
+    context.renderer,
+    context.assets,
+    context.physics
+  ];
+
+  if (!sandboxed) {
+    const runner = new AsyncFunction(...contextNames, `"use strict";\n${code}`);
+    return runner(...contextValues(context.THREE));
+  }
+
+  const instrumented = instrumentCode(code);
+  const runner = new AsyncFunction(
+    ...contextNames,
+    SANDBOX_NAME,
+    ...instrumented.blockedNames,
+    `"use strict";\n${instrumented.code}`
   );
 
-  return runner(context.scene, context.THREE, context.camera, context.renderer);
+  const runtime = createSandboxRuntime(timeoutMs, asyncTimeoutMs);
+  try {
+    const result = await withTimeout(
+      runner(
+        ...contextValues(getSandboxNamespace(context.THREE)),
+        runtime.sandbox,
+        ...instrumented.blockedNames.map(createBlockedGlobal)
+      ),
+      asyncTimeoutMs,
+      runtime.cancel
+    );
+    runtime.finish();
+    return result;
+  } catch (error) {
+    runtime.cancel();
+    throw error;
+  }
 }
@@ -0,0 +1,219 @@
+const PROMPT_PREVIEW_LENGTH = 48;
+
+function getStateTitle(state, stateIndex) {
+  if (state.label) {
+    return state.label;
+  }
+
+  if (stateIndex === 0) {
+    return "Base scene";
+  }
+
+  const prompt = (state.prompt || "").trim();
+  return prompt.length > PROMPT_PREVIEW_LENGTH
+    ? `${prompt.slice(0, PROMPT_PREVIEW_LENGTH - 1)}…`
+    : prompt || "Scene update";
+}
+
+function getStateSource(state) {
+  if (Array.isArray(state.operations) && state.operations.length > 0) {
+    return JSON.stringify(state.operations, null, 2);
+  }
+
+  return typeof state.code === "string" ? state.code : "";
+}
+
+function createActionButton(text, title, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = text;
+  button.title = title;
+  button.setAttribute("aria-label", title);
+  button.className =
+    "px-1 text-sm leading-none text-slate-500 opacity-0 transition group-hover:opacity-100 hover:text-cyan-300 focus:opacity-100";
+  button.addEventListener("click", (event) => {
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+export function createHistoryPanel({ onSelect, onDelete, onLabel, onEdit }) {
+  const panelEl = document.getElementById("history-panel");
+  const toggleEl = document.getElementById("history-toggle");
+  const closeEl = document.getElementById("history-close");
+  const treeEl = document.getElementById("history-tree");
+  const detailEl = document.getElementById("history-detail");
+
+  let states = [];
+  let activeIndex = 0;
+
+  function setOpen(open) {
+    panelEl.classList.toggle("hidden", !open);
+    panelEl.classList.toggle("flex", open);
+    toggleEl.classList.toggle("hidden", open);
+    toggleEl.setAttribute("aria-expanded", String(open));
+  }
+
+  function showDetail(stateIndex) {
+    const state = states[stateIndex];
+    detailEl.innerHTML = "";
+    if (!state) {
+      return;
+    }
+
+    const titleEl = document.createElement("div");
+    titleEl.className = "mb-1 font-semibold text-slate-200";
+    titleEl.textContent = `#${stateIndex} ${state.label ? `· ${state.label}` : ""}`.trim();
+    detailEl.appendChild(titleEl);
+
+    const promptEl = document.createElement("div");
+    promptEl.className = "mb-2 whitespace-pre-wrap text-emerald-400";
+    promptEl.textContent = state.prompt
+      ? `> ${state.prompt}`
+      : "Base grid, ground plane and lights.";
+    detailEl.appendChild(promptEl);
+
+    const source = getStateSource(state);
+    if (source) {
+      const codeEl = document.createElement("pre");
+      codeEl.className = "overflow-x-auto whitespace-pre font-mono text-[11px] text-slate-300";
+      codeEl.textContent = source;
+      detailEl.appendChild(codeEl);
+    }
+  }
+
+  function countBranch(stateIndex) {
+    const branch = new Set([stateIndex]);
+    for (let index = stateIndex + 1; index < states.length; index += 1) {
+      if (states[index] && branch.has(states[index].parentIndex)) {
+        branch.add(index);
+      }
+    }
+    return branch.size;
+  }
+
+  function createRow(stateIndex) {
+    const state = states[stateIndex];
+    const isActive = stateIndex === activeIndex;
+
+    const row = document.createElement("div");
+    row.className = `group flex cursor-pointer items-center gap-2 rounded border p-1 transition ${
+      isActive
+        ? "border-cyan-500 bg-cyan-950/60"
+        : "border-transparent hover:border-slate-700 hover:bg-slate-900"
+    }`;
+    row.setAttribute("role", "button");
+    row.tabIndex = 0;
+    row.title = isActive ? "Current state" : `Revert to state #${stateIndex}`;
+    row.addEventListener("click", () => onSelect(stateIndex));
+    row.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        onSelect(stateIndex);
+      }
+    });
+    row.addEventListener("mouseenter", () => showDetail(stateIndex));
+    row.addEventListener("focus", () => showDetail(stateIndex));
+
+    const thumbnail = document.createElement(state.thumbnail ? "img" : "div");
+    thumbnail.className = "h-10 w-16 shrink-0 rounded bg-slate-800 object-cover";
+    if (state.thumbnail) {
+      thumbnail.src = state.thumbnail;
+      thumbnail.alt = "";
+    }
+    row.appendChild(thumbnail);
+
+    const textEl = document.createElement("div");
+    textEl.className = "min-w-0 flex-1";
+    const indexEl = document.createElement("div");
+    indexEl.className = "text-[10px] text-slate-500";
+    indexEl.textContent = state.label ? `#${stateIndex} ⚑ checkpoint` : `#${stateIndex}`;
+    const titleEl = document.createElement("div");
+    titleEl.className = state.label
+      ? "truncate font-semibold text-amber-300"
+      : "truncate text-slate-200";
+    titleEl.textContent = getStateTitle(state, stateIndex);
+    textEl.append(indexEl, titleEl);
+    row.appendChild(textEl);
+
+    row.appendChild(
+      createActionButton("✎", state.label ? "Rename checkpoint" : "Label as checkpoint", () => {
+        const label = window.prompt(
+          "Checkpoint label (leave empty to remove):",
+          state.label || ""
+        );
+        if (label !== null) {
+          onLabel(stateIndex, label.trim());
+        }
+      })
+    );
+
+    if (stateIndex !== 0) {
+      row.appendChild(createActionButton("{}", "Edit code", () => onEdit(stateIndex)));
+      row.appendChild(
+        createActionButton("✕", "Delete branch", () => {
+          const count = countBranch(stateIndex);
+          const message =
+            count > 1
+              ? `Delete state #${stateIndex} and its ${count - 1} descendant state(s)?`
+              : `Delete state #${stateIndex}?`;
+          if (window.confirm(message)) {
+            onDelete(stateIndex);
+          }
+        })
+      );
+    }
+
+    return row;
+  }
+
+  // The oldest child continues the current column; newer siblings are drawn as indented branches.
+  function renderChain(stateIndex, listEl, childrenByParent) {
+    let cursor = stateIndex;
+    while (cursor !== undefined) {
+      const itemEl = document.createElement("li");
+      itemEl.className = "mb-1";
+      itemEl.appendChild(createRow(cursor));
+      listEl.appendChild(itemEl);
+
+      const children = childrenByParent.get(cursor) || [];
+      children.slice(1).forEach((childIndex) => {
+        const branchEl = document.createElement("ul");
+        branchEl.className = "ml-3 mt-1 border-l border-slate-700 pl-2";
+        renderChain(childIndex, branchEl, childrenByParent);
+        itemEl.appendChild(branchEl);
+      });
+
+      cursor = children[0];
+    }
+  }
+
+  function render(nextStates, nextActiveIndex) {
+    states = nextStates;
+    activeIndex = nextActiveIndex;
+
+    const childrenByParent = new Map();
+    states.forEach((state, stateIndex) => {
+      if (!state || stateIndex === 0) {
+        return;
+      }
+
+      const siblings = childrenByParent.get(state.parentIndex) || [];
+      siblings.push(stateIndex);
+      childrenByParent.set(state.parentIndex, siblings);
+    });
+
+    treeEl.innerHTML = "";
+    renderChain(0, treeEl, childrenByParent);
+    showDetail(activeIndex);
+  }
+
+  toggleEl.addEventListener("click", () => setOpen(true));
+  closeEl.addEventListener("click", () => setOpen(false));
+  treeEl.addEventListener("mouseleave", () => showDetail(activeIndex));
+
+  return {
+    render
+  };
+}
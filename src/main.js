@@ -1,25 +1,69 @@
 import "./style.css";
 
-import { fetchProviders, sendMessage, validateApiKey } from "./api";
-import { executeCode, extractCode, stripCodeBlocks } from "./executor";
+import { createAnimationTransport } from "./animation-transport";
+import { fetchProviders, streamMessage, validateApiKey } from "./api";
+import { createAssetDropZone } from "./asset-drop-zone";
+import { createAssetRegistry } from "./asset-registry";
+import { executeCode, extractCode, getFunctionSource, lintCode } from "./executor";
+import { createHistoryPanel } from "./history-panel";
+import { createOutlinerPanel } from "./outliner-panel";
 import { createScene } from "./scene";
+import { downloadBlob, exportScene } from "./scene-exporter";
+import {
+  applySceneOperations,
+  describeSceneOperation,
+  isSceneAnimation,
+  validateSceneOperations
+} from "./scene-operations";
+import { summarizeScene } from "./scene-summary";
+import { createSelection, getObjectReference } from "./selection";
+import { createSessionPicker } from "./session-picker";
+import {
+  createSessionId,
+  deleteSession,
+  getLastSessionId,
+  listSessions,
+  loadSession,
+  renameSession,
+  saveSession,
+  setLastSessionId
+} from "./session-store";
+import { createSnapshotStore } from "./snapshots";
+import { createStateEditor } from "./state-editor";
 import { createTerminal } from "./terminal";
+import { createTransformCode, createTransformGizmo, isTypingTarget } from "./transform-gizmo";
+import { createViewportRecorder } from "./viewport-recorder";
 
 const appEl = document.getElementById("app");
+const viewportEl = document.getElementById("viewport");
 const sceneContainer = document.getElementById("scene-container");
 const terminalEl = document.getElementById("terminal");
 const terminalResizeHandleEl = document.getElementById("terminal-resize-handle");
 const API_KEY_STORAGE_KEY = "threejs-llm-playground.validated-api-keys.v1";
-const sceneContext = createScene(sceneContainer);
+const THUMBNAIL_WIDTH = 160;
+const SESSION_SAVE_DELAY_MS = 400;
+const MAX_PERSISTED_LOG_ENTRIES = 500;
+const EXPORT_FORMATS = ["glb", "gltf", "json"];
+const GIZMO_VERBS = { translate: "Move", rotate: "Rotate", scale: "Scale" };
+const WELCOME_MESSAGE = "Scene ready. Select a provider, then send a prompt to mutate the world.";
+const assetRegistry = createAssetRegistry();
+const sceneContext = createScene(sceneContainer, {
+  assets: assetRegistry.api,
+  onUpdateError: reportUpdateError
+});
+const snapshotStore = createSnapshotStore(sceneContext);
+const baseViewState = sceneContext.captureViewState();
 const history = [];
 const providerById = new Map();
 const runtimeApiKeys = new Map();
 const validatedApiKeys = new Map();
-const sceneStateStack = [
-  { code: null, parentIndex: null, viewState: sceneContext.captureViewState() }
-];
+const sceneStateStack = [createRootState()];
 const revertActionEntries = [];
+// Most recently visited child of each state, so redo retraces the branch the user came from.
+const lastVisitedChildren = new Map();
 let activeStateIndex = 0;
+let activeSession = null;
+let sessionSaveTimeoutId = 0;
 let activeProviderId = "";
 let apiKeyValidationRequestId = 0;
 let isBusy = false;
@@ -27,11 +71,38 @@ let isBusy = false;
 hydrateStoredApiKeys();
 
 const terminal = createTerminal(handleSubmit);
+const historyPanel = createHistoryPanel({
+  onSelect: revertToState,
+  onDelete: deleteStateBranch,
+  onLabel: labelState,
+  onEdit: openStateEditor
+});
+const stateEditor = createStateEditor({ onSave: saveEditedState });
+const sessionPicker = createSessionPicker({
+  onSelect: (sessionId) => runSessionAction(() => switchSession(sessionId)),
+  onCreate: () => runSessionAction(startNewSession),
+  onRename: (sessionId, name) => runSessionAction(() => renameActiveSession(sessionId, name)),
+  onDuplicate: () => runSessionAction(duplicateActiveSession),
+  onDelete: (sessionId) => runSessionAction(() => deleteActiveSession(sessionId))
+});
+createAssetDropZone({ onFiles: importAssetFiles });
+createAnimationTransport(sceneContext.playback);
+const recorder = createViewportRecorder(sceneContext);
+const gizmo = createTransformGizmo(sceneContext, { onTransformEnd: recordManualTransform });
+const selection = createSelection(sceneContext, {
+  isPointerCaptured: gizmo.isDragging,
+  onChange: refreshSelectionViews
+});
+const outliner = createOutlinerPanel(sceneContext, {
+  onSelect: (object, options) => selection.select(object, options),
+  onEdit: recordInspectorEdit
+});
 setupTerminalResize();
+setupViewportShortcuts();
+refreshHistoryPanel();
 terminal.disableInput(true);
-terminal.addAssistantMessage(
-  "Scene ready. Select Codex or Claude Code, then send a prompt to mutate the world."
-);
+sessionPicker.setDisabled(true);
+terminal.addAssistantMessage(WELCOME_MESSAGE);
 
 function hydrateStoredApiKeys() {
   if (typeof window === "undefined" || !window.localStorage) {
@@ -182,14 +253,19 @@ async function initializeProviders() {
   updateProviderControls(selected, { rememberPreviousProviderKey: false });
 }
 
+function providerNeedsRuntimeKey(provider) {
+  return Boolean(provider) && !provider.envConfigured && provider.requiresApiKey !== false;
+}
+
 function getProviderStatusText(provider) {
   if (!provider) {
     return "No provider available";
   }
 
-  return provider.envConfigured
-    ? `Using ${provider.label}`
-    : `Using ${provider.label} (API key required)`;
+  const providerName = provider.model ? `${provider.label} (${provider.model})` : provider.label;
+  return providerNeedsRuntimeKey(provider)
+    ? `Using ${providerName}, API key required`
+    : `Using ${providerName}`;
 }
 
 function updateProviderControls(
@@ -200,7 +276,7 @@ function updateProviderControls(
 
   if (rememberPreviousProviderKey && activeProviderId) {
     const previousProvider = providerById.get(activeProviderId);
-    if (previousProvider && !previousProvider.envConfigured) {
+    if (providerNeedsRuntimeKey(previousProvider)) {
       runtimeApiKeys.set(activeProviderId, terminal.getApiKey());
     }
   }
@@ -214,7 +290,7 @@ function updateProviderControls(
     return;
   }
 
-  const requiresRuntimeKey = !provider.envConfigured;
+  const requiresRuntimeKey = providerNeedsRuntimeKey(provider);
   terminal.setApiKeyRequirement(requiresRuntimeKey, provider.label);
   if (requiresRuntimeKey) {
     const savedKey = runtimeApiKeys.get(provider.id) || "";
@@ -231,7 +307,7 @@ function updateProviderControls(
 async function validateSelectedProviderKey() {
   const providerId = terminal.getSelectedProvider();
   const provider = providerById.get(providerId);
-  if (!provider || provider.envConfigured) {
+  if (!providerNeedsRuntimeKey(provider)) {
     return;
   }
 
@@ -274,26 +350,73 @@ function appendHistory(role, content) {
   }
 }
 
-function formatAssistantText(rawText) {
-  const cleaned = stripCodeBlocks(rawText);
-  return cleaned.length > 0 ? cleaned : "Applied scene update.";
+// Replies keep their code blocks, which the terminal renders collapsed. A reply that was all code
+// without a fence is fenced so its Markdown rendering does not mangle it.
+function formatAssistantText(rawText, step) {
+  const text = (rawText || "").trim();
+  const blocks = [];
+  if (text) {
+    blocks.push(text === step.code ? `\`\`\`javascript\n${text}\n\`\`\`` : text);
+  }
+  if (Array.isArray(step.operations) && step.operations.length > 0) {
+    blocks.push(
+      step.operations.map((operation) => `• ${describeSceneOperation(operation)}`).join("\n")
+    );
+  }
+
+  return blocks.length > 0 ? blocks.join("\n\n") : "Applied scene update.";
+}
+
+function formatHistoryText(rawText, operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return rawText;
+  }
+
+  return [rawText, "Tool calls applied:", JSON.stringify(operations)].filter(Boolean).join("\n");
+}
+
+async function applyStateStep(state) {
+  const executionOptions = { sandboxed: state.sandboxed !== false };
+  if (Array.isArray(state.operations) && state.operations.length > 0) {
+    await applySceneOperations(state.operations, sceneContext, executionOptions);
+  }
+
+  if (typeof state.code === "string" && state.code.trim()) {
+    await executeCode(state.code, sceneContext, executionOptions);
+  }
+}
+
+function createRootState() {
+  return {
+    code: null,
+    operations: null,
+    parentIndex: null,
+    prompt: null,
+    label: "",
+    thumbnail: captureSceneScreenshot({ maxWidth: THUMBNAIL_WIDTH, quality: 0.6 }),
+    viewState: sceneContext.captureViewState()
+  };
 }
 
 function refreshRevertActions() {
   revertActionEntries.forEach((entry) => {
-    const available = entry.stateIndex < sceneStateStack.length;
+    const available = Boolean(sceneStateStack[entry.stateIndex]);
     entry.button.disabled = !available;
     entry.button.title = available ? "revert" : "revert (unavailable)";
   });
 }
 
+function refreshHistoryPanel() {
+  historyPanel.render(sceneStateStack, activeStateIndex);
+}
+
 function registerRevertAction(button, stateIndex) {
   revertActionEntries.push({ button, stateIndex });
   refreshRevertActions();
 }
 
-function collectStateCodePath(stateIndex) {
-  const codePath = [];
+function collectStatePath(stateIndex) {
+  const statePath = [];
   let cursor = stateIndex;
 
   while (cursor !== 0) {
@@ -302,9 +425,7 @@ function collectStateCodePath(stateIndex) {
       throw new Error(`State #${cursor} is missing from the stack.`);
     }
 
-    if (typeof state.code === "string" && state.code.trim()) {
-      codePath.unshift(state.code);
-    }
+    statePath.unshift(cursor);
 
     if (typeof state.parentIndex !== "number" || state.parentIndex < 0) {
       throw new Error(`State #${cursor} has an invalid parent pointer.`);
@@ -313,44 +434,537 @@ function collectStateCodePath(stateIndex) {
     cursor = state.parentIndex;
   }
 
-  return codePath;
+  return statePath;
 }
 
-function restoreSceneToStateIndex(stateIndex) {
+async function restoreSceneToStateIndex(stateIndex) {
   if (stateIndex < 0 || stateIndex >= sceneStateStack.length) {
     throw new Error(`State #${stateIndex} is not available.`);
   }
 
-  const codePath = collectStateCodePath(stateIndex);
-  sceneContext.resetSceneToBase();
+  const statePath = collectStatePath(stateIndex);
+  const snapshotPosition = statePath.findLastIndex((index) => snapshotStore.has(index));
+  let replayFrom = 0;
+
+  if (snapshotPosition >= 0) {
+    try {
+      await snapshotStore.restore(statePath[snapshotPosition]);
+      replayFrom = snapshotPosition + 1;
+    } catch (error) {
+      console.error(`Snapshot for state #${statePath[snapshotPosition]} failed to load:`, error);
+      snapshotStore.remove(statePath[snapshotPosition]);
+    }
+  }
 
-  for (const code of codePath) {
-    executeCode(code, sceneContext);
+  if (replayFrom === 0) {
+    sceneContext.resetSceneToBase();
+  }
+
+  for (const index of statePath.slice(replayFrom)) {
+    await applyStateStep(sceneStateStack[index]);
   }
 
   sceneContext.restoreViewState(sceneStateStack[stateIndex].viewState);
 }
 
-function revertToState(stateIndex) {
+function markStateVisited(stateIndex) {
+  collectStatePath(stateIndex).forEach((index) => {
+    lastVisitedChildren.set(sceneStateStack[index].parentIndex, index);
+  });
+}
+
+async function revertToState(
+  stateIndex,
+  {
+    request = `Revert to scene state #${stateIndex}.`,
+    result = `Reverted to scene state #${stateIndex}.`
+  } = {}
+) {
   if (isBusy) {
     terminal.addError("Wait for the current request to finish before reverting.");
     return;
   }
 
+  isBusy = true;
+  terminal.disableInput(true);
   try {
-    restoreSceneToStateIndex(stateIndex);
+    await restoreSceneToStateIndex(stateIndex);
     activeStateIndex = stateIndex;
+    markStateVisited(stateIndex);
     refreshRevertActions();
-    terminal.addAssistantMessage(`Reverted to scene state #${stateIndex}.`);
-    appendHistory("user", `Revert to scene state #${stateIndex}.`);
-    appendHistory("assistant", `Reverted to scene state #${stateIndex}.`);
+    refreshHistoryPanel();
+    terminal.addAssistantMessage(result);
+    appendHistory("user", request);
+    appendHistory("assistant", result);
+    scheduleSessionSave();
   } catch (error) {
     const errorText = error instanceof Error ? error.message : "Unknown revert error.";
     terminal.addError(`Revert failed: ${errorText}`);
+  } finally {
+    isBusy = false;
+    terminal.disableInput(false);
+    terminal.focusInput();
+  }
+}
+
+function collectBranchIndices(stateIndex) {
+  const branch = new Set([stateIndex]);
+  for (let index = stateIndex + 1; index < sceneStateStack.length; index += 1) {
+    const state = sceneStateStack[index];
+    if (state && branch.has(state.parentIndex)) {
+      branch.add(index);
+    }
+  }
+
+  return branch;
+}
+
+async function deleteStateBranch(stateIndex) {
+  const state = sceneStateStack[stateIndex];
+  if (stateIndex === 0 || !state) {
+    return;
+  }
+
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before deleting states.");
+    return;
+  }
+
+  const branch = collectBranchIndices(stateIndex);
+  if (branch.has(activeStateIndex)) {
+    await revertToState(state.parentIndex);
+    if (branch.has(activeStateIndex)) {
+      return;
+    }
+  }
+
+  // Deleted states leave holes so the indices shown in the terminal stay valid.
+  branch.forEach((index) => {
+    sceneStateStack[index] = null;
+    snapshotStore.remove(index);
+  });
+  refreshRevertActions();
+  refreshHistoryPanel();
+  scheduleSessionSave();
+  terminal.addAssistantMessage(
+    branch.size > 1
+      ? `Deleted scene state #${stateIndex} and ${branch.size - 1} descendant state(s).`
+      : `Deleted scene state #${stateIndex}.`
+  );
+}
+
+function labelState(stateIndex, label) {
+  const state = sceneStateStack[stateIndex];
+  if (!state) {
+    return;
+  }
+
+  state.label = label;
+  refreshHistoryPanel();
+  scheduleSessionSave();
+}
+
+function getStateSource(state) {
+  return state.operations ? JSON.stringify(state.operations, null, 2) : state.code || "";
+}
+
+function lintOperationsSource(source) {
+  try {
+    validateSceneOperations(parseOperationsJson(source));
+    return [];
+  } catch (error) {
+    const message = error instanceof Error ? error.message : "Invalid tool calls.";
+    return [{ severity: "error", line: 1, column: 0, message }];
+  }
+}
+
+function openStateEditor(stateIndex) {
+  const state = sceneStateStack[stateIndex];
+  if (stateIndex === 0 || !state) {
+    terminal.addError("State #0 is the base scene and has no code to edit.");
+    return;
+  }
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before editing a state.");
+    return;
+  }
+
+  const sandboxed = state.sandboxed !== false;
+  stateEditor.open({
+    stateIndex,
+    title: `Edit ${formatStateReference(stateIndex)}`,
+    source: getStateSource(state),
+    lint: state.operations ? lintOperationsSource : (source) => lintCode(source, { sandboxed }),
+    descendantCount: collectBranchIndices(stateIndex).size - 1
+  });
+}
+
+function createEditedStep(state, source) {
+  const sandboxed = state.sandboxed !== false;
+  if (state.operations) {
+    return { code: null, operations: parseOperationsJson(source), sandboxed };
+  }
+  if (!source.trim()) {
+    throw new Error("The edited code is empty.");
+  }
+
+  return { code: source, operations: null, sandboxed };
+}
+
+// Names a step looks up, so a rebase can flag steps whose objects the edited branch lacks.
+function collectLookupNames(step) {
+  if (step.operations) {
+    return step.operations
+      .filter((operation) => operation?.name !== "create_object")
+      .map((operation) => operation?.input?.name)
+      .filter((name) => typeof name === "string");
+  }
+
+  return [...(step.code || "").matchAll(/getObjectByName\(\s*(["'`])(.+?)\1\s*\)/g)].map(
+    (match) => match[2]
+  );
+}
+
+// Replays the states below `sourceIndex` onto `targetIndex`, keeping the tree shape. A failing
+// step is rolled back and its descendants are skipped. Returns the copy of each replayed state.
+async function rebaseDescendants(sourceIndex, targetIndex) {
+  const copies = new Map([[sourceIndex, targetIndex]]);
+  const descendants = [...collectBranchIndices(sourceIndex)].slice(1);
+  const report = { replayed: 0, conflicts: 0, failed: 0, skipped: 0 };
+
+  for (const index of descendants) {
+    const state = sceneStateStack[index];
+    const parentCopy = copies.get(state.parentIndex);
+    if (parentCopy === undefined) {
+      report.skipped += 1;
+      continue;
+    }
+
+    if (activeStateIndex !== parentCopy) {
+      await restoreSceneToStateIndex(parentCopy);
+      activeStateIndex = parentCopy;
+    }
+
+    const step = { code: state.code, operations: state.operations, sandboxed: state.sandboxed };
+    const lookupNames = [...new Set(collectLookupNames(step))];
+    const isMissing = (name) => !sceneContext.scene.getObjectByName(name);
+    const missingBefore = lookupNames.filter(isMissing);
+    try {
+      await applyStateStepWithRollback(step);
+    } catch (error) {
+      const errorText = error instanceof Error ? error.message : "Unknown execution error.";
+      terminal.addError(`Rebase of state #${index} failed: ${errorText}`);
+      report.failed += 1;
+      continue;
+    }
+
+    const missing = missingBefore.filter(isMissing).map((name) => `"${name}"`);
+    const conflict =
+      missing.length > 0
+        ? ` Conflict: the edited branch has no ${missing.join(", ")} for it to change.`
+        : "";
+    report.replayed += 1;
+    report.conflicts += conflict ? 1 : 0;
+    const responseText = `Replayed state #${index} on the edited branch.${conflict}`;
+    copies.set(index, commitStateStep(step, responseText, state.prompt));
+  }
+
+  const summary = [
+    `Rebased ${report.replayed} of ${descendants.length} downstream state(s) onto #${targetIndex}`,
+    report.conflicts ? `${report.conflicts} with conflicts` : "",
+    report.failed ? `${report.failed} failed` : "",
+    report.skipped ? `${report.skipped} skipped below a failure` : ""
+  ]
+    .filter(Boolean)
+    .join(", ");
+  terminal.addAssistantMessage(`${summary}.`);
+  return { copies, summary };
+}
+
+// Saves edited code as a sibling of the state it came from, run on top of the parent's scene.
+// With `rebase`, the states below the original are replayed on the new branch as well.
+async function saveEditedState(stateIndex, source, { rebase = false } = {}) {
+  const state = sceneStateStack[stateIndex];
+  if (stateIndex === 0 || !state) {
+    return;
+  }
+
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before saving the edit.");
+    return;
+  }
+
+  const previousIndex = activeStateIndex;
+  isBusy = true;
+  terminal.disableInput(true);
+  try {
+    const step = createEditedStep(state, source);
+    await restoreSceneToStateIndex(state.parentIndex);
+    activeStateIndex = state.parentIndex;
+    try {
+      await applyStateStepWithRollback(step);
+    } catch (error) {
+      await restoreSceneToStateIndex(previousIndex);
+      activeStateIndex = previousIndex;
+      throw error;
+    }
+
+    const basePrompt = (state.prompt || "Scene update").replace(/ \(edited\)$/, "");
+    const prompt = `${basePrompt} (edited)`;
+    const editedIndex = commitStateStep(step, `Saved the edit of state #${stateIndex}.`, prompt);
+    let rebaseNote = "";
+    if (rebase) {
+      const { copies, summary } = await rebaseDescendants(stateIndex, editedIndex);
+      const landingIndex = copies.get(previousIndex) ?? editedIndex;
+      await restoreSceneToStateIndex(landingIndex);
+      activeStateIndex = landingIndex;
+      markStateVisited(landingIndex);
+      rebaseNote = `\n${summary}. The active state is now #${landingIndex}.`;
+    }
+
+    const edited = step.operations
+      ? `these tool calls:\n${source}`
+      : `this code:\n\`\`\`javascript\n${source}\n\`\`\``;
+    const saved = `I edited scene state #${stateIndex} and saved it as state #${editedIndex}`;
+    appendHistory("user", `${saved}, with ${edited}${rebaseNote}`);
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown execution error.";
+    terminal.addError(`Could not save the edit of state #${stateIndex}: ${errorText}`);
+  } finally {
+    refreshRevertActions();
+    refreshHistoryPanel();
+    scheduleSessionSave();
+    isBusy = false;
+    terminal.disableInput(false);
+    terminal.focusInput();
+  }
+}
+
+async function exportCurrentScene(options) {
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before exporting.");
+    return;
+  }
+
+  isBusy = true;
+  terminal.disableInput(true);
+  try {
+    const { blob, fileName, warnings } = await exportScene(sceneContext, options);
+    downloadBlob(blob, fileName);
+    terminal.addAssistantMessage(`Exported ${fileName} (${formatKilobytes(blob)}).`);
+    warnings.forEach((warning) => terminal.addAssistantMessage(`Warning: ${warning}`));
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown export error.";
+    terminal.addError(`Export failed: ${errorText}`);
+  } finally {
+    isBusy = false;
+    terminal.disableInput(false);
+    terminal.focusInput();
+  }
+}
+
+function formatKilobytes(blob) {
+  return `${Math.ceil(blob.size / 1024)} KB`;
+}
+
+async function recordLiveVideo(options) {
+  let finished;
+  try {
+    finished = recorder.startLiveRecording({
+      ...options,
+      onTick: (elapsed) =>
+        terminal.setRecordStatus(`● ${elapsed.toFixed(1)} s`, { recording: true })
+    });
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown recording error.";
+    terminal.addError(`Recording failed: ${errorText}`);
+    return;
+  }
+
+  terminal.setRecordStatus("● 0.0 s", { recording: true });
+  try {
+    const { blob, fileName, seconds } = await finished;
+    downloadBlob(blob, fileName);
+    terminal.addAssistantMessage(
+      `Recorded ${fileName} (${seconds.toFixed(1)} s, ${formatKilobytes(blob)}).`
+    );
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown recording error.";
+    terminal.addError(`Recording failed: ${errorText}`);
+  } finally {
+    terminal.setRecordStatus("");
+  }
+}
+
+async function recordFrameSequence(options) {
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before recording frames.");
+    return;
   }
+
+  isBusy = true;
+  terminal.disableInput(true);
+  try {
+    const { blob, fileName, frameCount } = await recorder.recordFrames({
+      ...options,
+      format: options.mode,
+      onProgress: (done, total) => terminal.setRecordStatus(`Frame ${done}/${total}`)
+    });
+    downloadBlob(blob, fileName);
+    terminal.addAssistantMessage(
+      `Captured ${frameCount} frames to ${fileName} (${formatKilobytes(blob)}).`
+    );
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown recording error.";
+    terminal.addError(`Frame capture failed: ${errorText}`);
+  } finally {
+    terminal.setRecordStatus("");
+    isBusy = false;
+    terminal.disableInput(false);
+    terminal.focusInput();
+  }
+}
+
+// Models are added through a recorded code step, so replaying the state re-adds them from the
+// registry; textures are only registered.
+async function importAssetFiles(files) {
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before importing files.");
+    return;
+  }
+
+  isBusy = true;
+  terminal.disableInput(true);
+  try {
+    const { imported, skipped, failed } = await assetRegistry.importFiles(files);
+    failed.forEach(({ fileName, message }) => {
+      terminal.addError(`Could not import ${fileName}: ${message}`);
+    });
+    if (skipped.length > 0) {
+      terminal.addAssistantMessage(`Skipped unsupported files: ${skipped.join(", ")}.`);
+    }
+
+    const textures = imported.filter((asset) => asset.kind === "texture");
+    if (textures.length > 0) {
+      const names = textures.map((asset) => `"${asset.name}"`).join(", ");
+      terminal.addAssistantMessage(`Imported texture(s) ${names}. Use assets.get(name) in code.`);
+    }
+
+    for (const asset of imported.filter((entry) => entry.kind === "model")) {
+      const prompt = `Import ${asset.fileName}.`;
+      const responseText = `Added model "${asset.name}" from ${asset.fileName}.`;
+      const step = {
+        code: `scene.add(assets.get(${JSON.stringify(asset.name)}));`,
+        operations: null,
+        sandboxed: true
+      };
+      await applyStateStepWithRollback(step);
+      commitStateStep(step, responseText, prompt);
+      appendHistory("user", prompt);
+      appendHistory("assistant", responseText);
+    }
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown import error.";
+    terminal.addError(`Import failed: ${errorText}`);
+  } finally {
+    isBusy = false;
+    terminal.disableInput(false);
+    terminal.focusInput();
+    scheduleSessionSave();
+  }
+}
+
+function refreshSelectionViews(objects) {
+  terminal.setSelection(objects.map((object) => object.name || `unnamed ${object.type}`));
+  gizmo.attach(objects.length === 1 ? objects[0] : null);
+  outliner.setSelection(objects);
 }
 
-function captureSceneScreenshot() {
+function formatObjectLabel(object) {
+  return object.name ? `"${object.name}"` : `unnamed ${object.type}`;
+}
+
+// Manual edits from the gizmo and the inspector become code states, like model replies.
+async function recordManualStep(code, prompt, responseText) {
+  const step = { code, operations: null, sandboxed: true };
+
+  isBusy = true;
+  terminal.disableInput(true);
+  try {
+    await applyStateStepWithRollback(step);
+    commitStateStep(step, responseText, prompt);
+    appendHistory("user", prompt);
+    appendHistory("assistant", responseText);
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown execution error.";
+    terminal.addError(`Could not record the edit: ${errorText}`);
+  } finally {
+    isBusy = false;
+    terminal.disableInput(false);
+  }
+}
+
+// "Run again" on a code block in the terminal runs it on the current scene as a new state.
+async function runCodeBlock(code) {
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before running code.");
+    return;
+  }
+
+  const step = { code, operations: null, sandboxed: terminal.isSandboxEnabled() };
+  isBusy = true;
+  terminal.disableInput(true);
+  try {
+    await applyStateStepWithRollback(step);
+    const stateIndex = commitStateStep(
+      step,
+      "Ran the code block again.",
+      "Run a code block from the chat again."
+    );
+    const codeBlock = `\`\`\`javascript\n${code}\n\`\`\``;
+    appendHistory("user", `I ran this code again as scene state #${stateIndex}:\n${codeBlock}`);
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown execution error.";
+    terminal.addError(`Code execution failed: ${errorText}`);
+  } finally {
+    isBusy = false;
+    terminal.disableInput(false);
+    terminal.focusInput();
+  }
+}
+
+async function recordManualTransform(object, { mode, restore }) {
+  if (isBusy) {
+    restore();
+    terminal.addError("Wait for the current request to finish before moving objects.");
+    return;
+  }
+
+  const label = formatObjectLabel(object);
+  await recordManualStep(
+    createTransformCode(object, sceneContext.scene),
+    `${GIZMO_VERBS[mode]} ${label} with the transform gizmo.`,
+    `Recorded the gizmo edit of ${label}.`
+  );
+}
+
+async function recordInspectorEdit(object, { property, code }) {
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before editing objects.");
+    outliner.refresh();
+    return;
+  }
+
+  const label = formatObjectLabel(object);
+  await recordManualStep(
+    code,
+    `Set ${property} of ${label} in the inspector.`,
+    `Recorded the inspector edit of ${label}.`
+  );
+  refreshSelectionViews(selection.getSelected());
+}
+
+function captureSceneScreenshot({ maxWidth = 640, quality = 0.72 } = {}) {
   const canvas = sceneContext.renderer?.domElement;
   if (!(canvas instanceof HTMLCanvasElement)) {
     return null;
@@ -362,7 +976,6 @@ function captureSceneScreenshot() {
     return null;
   }
 
-  const maxWidth = 640;
   const scale = Math.min(1, maxWidth / sourceWidth);
   const targetWidth = Math.max(1, Math.round(sourceWidth * scale));
   const targetHeight = Math.max(1, Math.round(sourceHeight * scale));
@@ -376,21 +989,771 @@ function captureSceneScreenshot() {
     return null;
   }
 
-  // Ensure the canvas represents the latest scene state before capture.
-  sceneContext.renderer.render(sceneContext.scene, sceneContext.camera);
+  // Ensure the canvas represents the latest scene state, at the pinned time if any, before capture.
+  sceneContext.renderCapture();
   context.drawImage(canvas, 0, 0, targetWidth, targetHeight);
 
-  return snapshotCanvas.toDataURL("image/jpeg", 0.72);
+  return snapshotCanvas.toDataURL("image/jpeg", quality);
+}
+
+function extractStateStep(responseText, operations, protocol) {
+  const sandboxed = terminal.isSandboxEnabled();
+  if (protocol === "tools" && Array.isArray(operations) && operations.length > 0) {
+    return { code: null, operations, sandboxed };
+  }
+
+  const code = extractCode(responseText);
+  return code ? { code, operations: null, sandboxed } : null;
+}
+
+async function requestSceneResponse(message, screenshot, { provider, apiKey, protocol }) {
+  let streamingMessage = null;
+  try {
+    const result = await streamMessage(
+      {
+        message,
+        history,
+        provider,
+        screenshot,
+        apiKey,
+        protocol,
+        sceneSummary: { ...summarizeScene(sceneContext.scene), assets: assetRegistry.list() },
+        selection: selection.describe()
+      },
+      (delta) => {
+        if (!streamingMessage) {
+          streamingMessage = terminal.startStreamingMessage();
+        }
+        streamingMessage.append(delta);
+      }
+    );
+
+    const responseText = result.response || "";
+    return {
+      provider: result.provider,
+      responseText,
+      step: extractStateStep(responseText, result.operations, protocol)
+    };
+  } finally {
+    terminal.hideThinking();
+    terminal.finishStreamingMessage();
+  }
+}
+
+async function applyStateStepWithRollback(step) {
+  const viewState = sceneContext.captureViewState();
+  try {
+    await applyStateStep(step);
+  } catch (error) {
+    try {
+      await restoreSceneToStateIndex(activeStateIndex);
+      sceneContext.restoreViewState(viewState);
+    } catch (rollbackError) {
+      const rollbackText =
+        rollbackError instanceof Error ? rollbackError.message : "Unknown rollback error.";
+      terminal.addError(`Rollback failed: ${rollbackText}`);
+    }
+
+    throw error;
+  }
+}
+
+function commitStateStep(step, responseText, prompt) {
+  const stateIndex =
+    sceneStateStack.push({
+      code: step.code,
+      operations: step.operations,
+      sandboxed: step.sandboxed,
+      parentIndex: activeStateIndex,
+      prompt,
+      label: "",
+      thumbnail: captureSceneScreenshot({ maxWidth: THUMBNAIL_WIDTH, quality: 0.6 }),
+      viewState: sceneContext.captureViewState()
+    }) - 1;
+  activeStateIndex = stateIndex;
+  markStateVisited(stateIndex);
+  snapshotStore.capture(stateIndex, collectStatePath(stateIndex).length);
+  refreshHistoryPanel();
+  addRevertableMessage(formatAssistantText(responseText, step), stateIndex);
+  scheduleSessionSave();
+  return stateIndex;
+}
+
+function addRevertableMessage(text, stateIndex) {
+  const lineHandle = terminal.addAssistantMarkdown(text, {
+    icon: "↺",
+    title: "revert",
+    meta: { stateIndex },
+    onClick: () => revertToState(stateIndex)
+  });
+
+  if (lineHandle?.button) {
+    registerRevertAction(lineHandle.button, stateIndex);
+  }
+}
+
+function parseOperationsJson(text) {
+  let operations;
+  try {
+    operations = JSON.parse(text);
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Invalid JSON.";
+    throw new Error(`Tool calls must be valid JSON: ${errorText}`);
+  }
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error("Tool calls must be a non-empty JSON array.");
+  }
+
+  return operations;
+}
+
+// Review mode: the user runs, edits or discards a step before it touches the scene. Edits and
+// discards are noted in the history as user turns, so the model builds on what actually ran.
+async function reviewStateStep(step) {
+  const original = step.operations ? JSON.stringify(step.operations, null, 2) : step.code;
+  const review = await terminal.showCodeReview({
+    code: original,
+    title: step.operations ? "Review tool calls" : "Review generated code",
+    validate: step.operations ? parseOperationsJson : undefined
+  });
+
+  if (review.action === "discard") {
+    appendHistory("user", "I discarded your scene update without running it.");
+    terminal.addAssistantMessage("Discarded; the scene is unchanged.");
+    return null;
+  }
+  if (review.code === original) {
+    return step;
+  }
+
+  if (step.operations) {
+    appendHistory(
+      "user",
+      `I edited your tool calls before applying them. These ran instead:\n${review.code}`
+    );
+    return { ...step, operations: parseOperationsJson(review.code) };
+  }
+
+  const codeBlock = `\`\`\`javascript\n${review.code}\n\`\`\``;
+  appendHistory("user", `I edited your code before running it. This ran instead:\n${codeBlock}`);
+  return { ...step, code: review.code };
+}
+
+function buildRepairMessage(originalMessage, step, error) {
+  const errorText = error instanceof Error ? error.message : String(error);
+  const stack =
+    error instanceof Error && typeof error.stack === "string"
+      ? error.stack.split("\n").slice(0, 8).join("\n")
+      : "";
+  const failingStep = step.operations
+    ? `Failing tool calls:\n${JSON.stringify(step.operations, null, 2)}`
+    : `Failing code:\n\`\`\`javascript\n${step.code}\n\`\`\``;
+
+  return [
+    "Your last scene update threw an error and was rolled back, so the scene is unchanged.",
+    `Original request: ${originalMessage}`,
+    failingStep,
+    `Error: ${errorText}`,
+    stack ? `Stack:\n${stack}` : "",
+    step.operations
+      ? "Call the tools again with corrected arguments."
+      : "Reply with a corrected, complete JavaScript code block."
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Walks the active branch backwards to the state whose code contains the callback's source, or
+// whose set_animation call targets the object. Code that names the object and sets
+// userData.update is a fallback for callbacks whose source does not appear verbatim.
+function findCallbackStateIndex(object, update) {
+  const source = getFunctionSource(update);
+  const statePath = collectStatePath(activeStateIndex).reverse();
+  const getCode = (state) =>
+    [
+      state.code || "",
+      ...(state.operations || [])
+        .filter((operation) => operation.name === "run_code")
+        .map((operation) => String(operation.input?.code || ""))
+    ].join("\n");
+
+  if (isSceneAnimation(update)) {
+    return (
+      statePath.find((stateIndex) =>
+        sceneStateStack[stateIndex].operations?.some(
+          (operation) => operation.name === "set_animation" && operation.input?.name === object.name
+        )
+      ) ?? null
+    );
+  }
+
+  return (
+    statePath.find((stateIndex) => getCode(sceneStateStack[stateIndex]).includes(source)) ??
+    statePath.find((stateIndex) => {
+      const code = getCode(sceneStateStack[stateIndex]);
+      return Boolean(object.name) && code.includes(object.name) && code.includes("userData.update");
+    }) ??
+    null
+  );
+}
+
+function getStatePreview(stateIndex) {
+  const state = sceneStateStack[stateIndex];
+  const title = state?.label || state?.prompt || "";
+  return title.length > 60 ? `${title.slice(0, 59)}…` : title;
 }
 
-async function handleSubmit(message) {
+function formatStateReference(stateIndex) {
+  const preview = getStatePreview(stateIndex);
+  return preview ? `scene state #${stateIndex} ("${preview}")` : `scene state #${stateIndex}`;
+}
+
+function reportUpdateError(object, error, update) {
+  const failure = {
+    objectName: object.name || "unnamed",
+    objectReference: getObjectReference(object, sceneContext.scene),
+    errorText: error instanceof Error ? error.message : String(error),
+    stack:
+      error instanceof Error && typeof error.stack === "string"
+        ? error.stack.split("\n").slice(0, 8).join("\n")
+        : "",
+    source: typeof update === "function" ? getFunctionSource(update) : "",
+    stateIndex: null
+  };
+  try {
+    failure.stateIndex = failure.source ? findCallbackStateIndex(object, update) : null;
+  } catch (lookupError) {
+    console.error("Could not find the state that installed the callback:", lookupError);
+  }
+
+  const origin =
+    failure.stateIndex === null
+      ? ""
+      : `, installed by ${formatStateReference(failure.stateIndex)},`;
+  terminal.addErrorWithAction(
+    `Animation for "${failure.objectName}"${origin} stopped: ${failure.errorText}`,
+    {
+      icon: "🛠",
+      title: "ask the model to fix",
+      onClick: () => requestUpdateFix(failure)
+    }
+  );
+}
+
+function buildUpdateFixMessage(failure) {
+  const { objectName, objectReference, errorText, stack, source, stateIndex } = failure;
+  const state = stateIndex === null ? null : sceneStateStack[stateIndex];
+  const installedBy = state ? `${formatStateReference(stateIndex)}, which installed it` : "";
+  let installingStep = "";
+  if (state?.operations) {
+    installingStep = `Tool calls of ${installedBy}:\n${JSON.stringify(state.operations, null, 2)}`;
+  } else if (state?.code) {
+    installingStep = `Code of ${installedBy}:\n\`\`\`javascript\n${state.code}\n\`\`\``;
+  }
+
+  return [
+    `The userData.update animation callback on "${objectName}" threw while rendering a frame ` +
+      "and was removed, so the object stopped animating.",
+    source ? `Failing callback:\n\`\`\`javascript\n${source}\n\`\`\`` : "",
+    installingStep,
+    `Error: ${errorText}`,
+    stack ? `Stack:\n${stack}` : "",
+    `Attach a corrected userData.update to the existing object${
+      objectReference ? ` (${objectReference})` : ""
+    }. Do not recreate the object.`
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function requestUpdateFix(failure) {
   if (isBusy) {
+    terminal.addError("Wait for the current request to finish before asking for a fix.");
     return;
   }
 
+  handleSubmit(buildUpdateFixMessage(failure), {
+    displayText: `Fix the animation on "${failure.objectName}".`
+  });
+}
+
+function buildSessionRecord() {
+  return {
+    ...activeSession,
+    history,
+    log: terminal.getLog().slice(-MAX_PERSISTED_LOG_ENTRIES),
+    states: sceneStateStack,
+    activeStateIndex,
+    assets: assetRegistry.serialize(),
+    snapshot: snapshotStore.get(activeStateIndex)
+  };
+}
+
+async function persistActiveSession() {
+  window.clearTimeout(sessionSaveTimeoutId);
+  sessionSaveTimeoutId = 0;
+  if (!activeSession) {
+    return;
+  }
+
+  try {
+    await saveSession(buildSessionRecord());
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown storage error.";
+    terminal.showErrorToast(`Session could not be saved: ${errorText}`);
+  }
+}
+
+function scheduleSessionSave() {
+  if (!activeSession) {
+    return;
+  }
+
+  window.clearTimeout(sessionSaveTimeoutId);
+  sessionSaveTimeoutId = window.setTimeout(persistActiveSession, SESSION_SAVE_DELAY_MS);
+}
+
+async function refreshSessionPicker() {
+  sessionPicker.setSessions(await listSessions(), activeSession?.id || "");
+}
+
+function restoreLogEntry(entry) {
+  if (entry.role === "user") {
+    terminal.addUserMessage(entry.text);
+  } else if (entry.role === "error") {
+    terminal.addError(entry.text);
+  } else if (typeof entry.meta?.stateIndex === "number") {
+    addRevertableMessage(entry.text, entry.meta.stateIndex);
+  } else if (entry.markdown) {
+    terminal.addAssistantMarkdown(entry.text);
+  } else {
+    terminal.addAssistantMessage(entry.text);
+  }
+}
+
+async function applySession(session) {
+  activeSession = { id: session.id, name: session.name, createdAt: session.createdAt };
+  setLastSessionId(session.id);
+
+  terminal.clearLog();
+  revertActionEntries.length = 0;
+  history.splice(0, history.length, ...(session.history || []));
+  sceneStateStack.splice(0, sceneStateStack.length, ...session.states);
+  lastVisitedChildren.clear();
+  activeStateIndex = sceneStateStack[session.activeStateIndex] ? session.activeStateIndex : 0;
+  snapshotStore.clear();
+  if (session.snapshot) {
+    snapshotStore.add(activeStateIndex, session.snapshot);
+  }
+
+  (session.log || []).forEach(restoreLogEntry);
+
+  const failedAssets = await assetRegistry.restore(session.assets || []);
+  failedAssets.forEach(({ name, message }) => {
+    terminal.addError(`Could not restore asset "${name}": ${message}`);
+  });
+
+  try {
+    await restoreSceneToStateIndex(activeStateIndex);
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown restore error.";
+    terminal.addError(`Could not restore scene state #${activeStateIndex}: ${errorText}`);
+    activeStateIndex = 0;
+    await restoreSceneToStateIndex(0);
+  }
+
+  markStateVisited(activeStateIndex);
+  refreshRevertActions();
+  refreshHistoryPanel();
+}
+
+async function runSessionAction(action) {
+  if (isBusy) {
+    terminal.addError("Wait for the current request to finish before changing sessions.");
+    return;
+  }
+
+  isBusy = true;
+  terminal.disableInput(true);
+  sessionPicker.setDisabled(true);
+  try {
+    await action();
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown session error.";
+    terminal.addError(`Session action failed: ${errorText}`);
+  } finally {
+    isBusy = false;
+    terminal.disableInput(false);
+    sessionPicker.setDisabled(false);
+    terminal.focusInput();
+  }
+}
+
+async function startNewSession() {
+  await persistActiveSession();
+  const sessionCount = (await listSessions()).length;
+
+  sceneContext.resetSceneToBase();
+  sceneContext.restoreViewState(baseViewState);
+  await applySession({
+    id: createSessionId(),
+    name: `Session ${sessionCount + 1}`,
+    createdAt: Date.now(),
+    states: [createRootState()],
+    activeStateIndex: 0
+  });
+  terminal.addAssistantMessage(WELCOME_MESSAGE);
+
+  await persistActiveSession();
+  await refreshSessionPicker();
+}
+
+async function switchSession(sessionId) {
+  await persistActiveSession();
+  await applySession(await loadSession(sessionId));
+  await refreshSessionPicker();
+}
+
+async function renameActiveSession(sessionId, name) {
+  await renameSession(sessionId, name);
+  if (activeSession?.id === sessionId) {
+    activeSession.name = name;
+  }
+
+  await refreshSessionPicker();
+}
+
+async function duplicateActiveSession() {
+  if (!activeSession) {
+    return;
+  }
+
+  await persistActiveSession();
+  const name = `${activeSession.name} copy`;
+  activeSession = { id: createSessionId(), name, createdAt: Date.now() };
+  setLastSessionId(activeSession.id);
+  terminal.addAssistantMessage(`Duplicated the session as "${name}".`);
+
+  await persistActiveSession();
+  await refreshSessionPicker();
+}
+
+async function deleteActiveSession(sessionId) {
+  window.clearTimeout(sessionSaveTimeoutId);
+  await deleteSession(sessionId);
+  if (activeSession?.id === sessionId) {
+    activeSession = null;
+  }
+
+  const [nextSession] = await listSessions();
+  if (nextSession) {
+    await switchSession(nextSession.id);
+  } else {
+    await startNewSession();
+  }
+}
+
+async function initializeSessions() {
+  isBusy = true;
+  try {
+    const sessions = await listSessions();
+    const lastSessionId = getLastSessionId();
+    const session = sessions.find((entry) => entry.id === lastSessionId) || sessions[0];
+
+    if (session) {
+      await applySession(await loadSession(session.id));
+    } else {
+      activeSession = { id: createSessionId(), name: "Session 1", createdAt: Date.now() };
+      setLastSessionId(activeSession.id);
+      await persistActiveSession();
+    }
+
+    await refreshSessionPicker();
+    sessionPicker.setDisabled(false);
+  } catch (error) {
+    activeSession = null;
+    const errorText = error instanceof Error ? error.message : "Unknown storage error.";
+    terminal.addError(`Sessions are unavailable and this session will not be saved: ${errorText}`);
+  } finally {
+    isBusy = false;
+  }
+}
+
+async function resetScene() {
+  if (isBusy) {
+    throw new Error("Wait for the current request to finish before resetting.");
+  }
+
   isBusy = true;
-  terminal.addUserMessage(message);
+  terminal.disableInput(true);
+  try {
+    sceneContext.resetSceneToBase();
+    sceneContext.restoreViewState(sceneStateStack[0].viewState);
+    // An empty child of state #0 becomes the root of the new branch.
+    const stateIndex =
+      sceneStateStack.push({ ...createRootState(), parentIndex: 0, prompt: "/reset" }) - 1;
+    activeStateIndex = stateIndex;
+    markStateVisited(stateIndex);
+    refreshHistoryPanel();
+    addRevertableMessage(
+      `Reset to the base scene as state #${stateIndex}. The next prompt builds on it.`,
+      stateIndex
+    );
+    appendHistory("user", "I reset the scene to the base scene.");
+    scheduleSessionSave();
+  } finally {
+    isBusy = false;
+    terminal.disableInput(false);
+    terminal.focusInput();
+  }
+}
+
+async function undoState() {
+  if (activeStateIndex === 0) {
+    throw new Error("Nothing to undo: the base scene is active.");
+  }
+
+  const parentIndex = sceneStateStack[activeStateIndex].parentIndex;
+  await revertToState(parentIndex, {
+    request: `Undo scene state #${activeStateIndex}.`,
+    result: `Undo: ${formatStateReference(parentIndex)} is now active.`
+  });
+}
+
+// Follows the most recently visited child, falling back to the newest one.
+function findRedoTarget() {
+  const isChild = (index) => sceneStateStack[index]?.parentIndex === activeStateIndex;
+  const visited = lastVisitedChildren.get(activeStateIndex);
+  if (visited !== undefined && isChild(visited)) {
+    return visited;
+  }
+
+  return sceneStateStack.findLastIndex((_, index) => index > 0 && isChild(index));
+}
+
+async function redoState() {
+  const childIndex = findRedoTarget();
+  if (childIndex < 0) {
+    throw new Error("Nothing to redo: the active state has no later states.");
+  }
+
+  await revertToState(childIndex, {
+    request: `Redo scene state #${childIndex}.`,
+    result: `Redo: ${formatStateReference(childIndex)} is now active.`
+  });
+}
+
+function setupViewportShortcuts() {
+  // Clicking the canvas focuses the viewport, so its shortcuts never fire while typing a prompt.
+  sceneContainer.addEventListener("pointerdown", () => viewportEl.focus({ preventScroll: true }));
+  viewportEl.addEventListener("keydown", (event) => {
+    if (
+      event.key.toLowerCase() !== "z" ||
+      !(event.ctrlKey || event.metaKey) ||
+      event.altKey ||
+      isTypingTarget(event.target)
+    ) {
+      return;
+    }
+
+    event.preventDefault();
+    if (isBusy) {
+      return;
+    }
+
+    const navigate = event.shiftKey ? redoState : undoState;
+    navigate().catch((error) => {
+      terminal.addError(error instanceof Error ? error.message : "Unknown navigation error.");
+    });
+  });
+}
+
+function parseStateIndex(value) {
+  const stateIndex = /^#?\d+$/.test(value) ? Number.parseInt(value.replace("#", ""), 10) : NaN;
+  if (!sceneStateStack[stateIndex]) {
+    throw new Error(`"${value}" is not a scene state. Use /history to list them.`);
+  }
+
+  return stateIndex;
+}
+
+function listStateIndices() {
+  return sceneStateStack.flatMap((state, index) => (state ? [String(index)] : []));
+}
+
+function formatStateList() {
+  const activePath = new Set([0, ...collectStatePath(activeStateIndex)]);
+  const lines = sceneStateStack.flatMap((state, index) => {
+    if (!state) {
+      return [];
+    }
+
+    const marker = index === activeStateIndex ? "*" : activePath.has(index) ? "|" : " ";
+    const parent = index === 0 ? "" : ` ← #${state.parentIndex}`;
+    const title = index === 0 ? "base scene" : getStatePreview(index) || "(no prompt)";
+    return [`${marker} #${index}${parent} ${title}`];
+  });
+
+  return ["Scene states (* active, | on the active branch):", ...lines].join("\n");
+}
+
+function formatStateCode(stateIndex) {
+  const state = sceneStateStack[stateIndex];
+  if (stateIndex === 0) {
+    return "State #0 is the base scene and has no code.";
+  }
+
+  const body = state.operations
+    ? JSON.stringify(state.operations, null, 2)
+    : state.code || "(no code)";
+  return `Code of ${formatStateReference(stateIndex)}:\n${body}`;
+}
+
+const TERMINAL_COMMANDS = [
+  {
+    name: "help",
+    usage: "/help",
+    description: "List the terminal commands.",
+    run() {
+      terminal.addAssistantMessage(
+        [
+          "Commands run locally and are not sent to the model:",
+          ...TERMINAL_COMMANDS.map((command) => `${command.usage.padEnd(22)}${command.description}`)
+        ].join("\n")
+      );
+    }
+  },
+  {
+    name: "reset",
+    usage: "/reset",
+    description: "Reset to the base scene; the next prompt starts a new branch.",
+    run: resetScene
+  },
+  {
+    name: "undo",
+    usage: "/undo",
+    description: "Revert to the parent of the active state.",
+    run: undoState
+  },
+  {
+    name: "redo",
+    usage: "/redo",
+    description: "Go to the most recently visited child of the active state.",
+    run: redoState
+  },
+  {
+    name: "revert",
+    usage: "/revert <n>",
+    description: "Revert to scene state #n.",
+    complete: listStateIndices,
+    run: ([value]) => revertToState(parseStateIndex(value))
+  },
+  {
+    name: "provider",
+    usage: "/provider <id>",
+    description: "Switch the model provider.",
+    complete: () => [...providerById.keys()],
+    run([providerId]) {
+      const provider = providerById.get(providerId);
+      if (!provider) {
+        const available = [...providerById.keys()].join(", ") || "none";
+        throw new Error(`Unknown provider "${providerId}". Available providers: ${available}.`);
+      }
+
+      terminal.setSelectedProvider(providerId);
+      updateProviderControls(providerId);
+      terminal.addAssistantMessage(`Provider set to ${provider.label}.`);
+    }
+  },
+  {
+    name: "export",
+    usage: "/export <format>",
+    description: "Download the scene as glb, gltf or json.",
+    complete: () => [...EXPORT_FORMATS],
+    run([format]) {
+      if (!EXPORT_FORMATS.includes(format.toLowerCase())) {
+        throw new Error(`Unknown format "${format}". Use ${EXPORT_FORMATS.join(", ")}.`);
+      }
+
+      return exportCurrentScene({ format: format.toLowerCase() });
+    }
+  },
+  {
+    name: "code",
+    usage: "/code <n>",
+    description: "Print the code of scene state #n.",
+    complete: listStateIndices,
+    run([value]) {
+      terminal.addAssistantMessage(formatStateCode(parseStateIndex(value)));
+    }
+  },
+  {
+    name: "edit",
+    usage: "/edit <n>",
+    description: "Open the code of scene state #n in the editor.",
+    complete: listStateIndices,
+    run: ([value]) => openStateEditor(parseStateIndex(value))
+  },
+  {
+    name: "clear",
+    usage: "/clear",
+    description: "Clear the terminal log (chat history is kept).",
+    run() {
+      terminal.clearLog();
+      scheduleSessionSave();
+    }
+  },
+  {
+    name: "history",
+    usage: "/history",
+    description: "List the scene states.",
+    run() {
+      terminal.addAssistantMessage(formatStateList());
+    }
+  }
+];
+
+async function runTerminalCommand(text) {
+  terminal.addUserMessage(text);
   terminal.clearInput();
+
+  const [name, ...args] = text.slice(1).trim().split(/\s+/);
+  const command = TERMINAL_COMMANDS.find((entry) => entry.name === name.toLowerCase());
+  if (!command) {
+    terminal.addError(`Unknown command "/${name}". Type /help to list commands.`);
+    return;
+  }
+
+  const expectedArgs = command.usage.split(" ").length - 1;
+  if (args.length !== expectedArgs) {
+    terminal.addError(`Usage: ${command.usage}`);
+    return;
+  }
+
+  try {
+    await command.run(args);
+  } catch (error) {
+    const errorText = error instanceof Error ? error.message : "Unknown command error.";
+    terminal.addError(`/${command.name}: ${errorText}`);
+  }
+}
+
+// `displayText` replaces long generated messages, such as fix requests, in the log and history.
+async function handleSubmit(message, { displayText = "" } = {}) {
+  if (isBusy) {
+    return;
+  }
+
+  if (!displayText && message.startsWith("/")) {
+    await runTerminalCommand(message);
+    return;
+  }
+
+  isBusy = true;
+  terminal.addUserMessage(displayText || message);
+  if (!displayText) {
+    terminal.clearInput();
+  }
   terminal.disableInput(true);
   terminal.showThinking();
 
@@ -405,8 +1768,9 @@ async function handleSubmit(message) {
     return;
   }
 
-  const apiKey = selectedProviderConfig.envConfigured ? "" : terminal.getApiKey();
-  if (!selectedProviderConfig.envConfigured && !apiKey) {
+  const requiresRuntimeKey = providerNeedsRuntimeKey(selectedProviderConfig);
+  const apiKey = requiresRuntimeKey ? terminal.getApiKey() : "";
+  if (requiresRuntimeKey && !apiKey) {
     terminal.hideThinking();
     terminal.addError(`Paste a ${selectedProviderConfig.label} API key before sending.`);
     isBusy = false;
@@ -430,56 +1794,65 @@ async function handleSubmit(message) {
   }
 
   try {
-    const result = await sendMessage(message, history, provider, screenshot, apiKey);
-    const responseText = result.response || "";
-    const code = extractCode(responseText);
-
-    terminal.hideThinking();
+    const request = { provider, apiKey, protocol: terminal.getSelectedProtocol() };
+    const maxRepairAttempts = terminal.getAutoRepairAttempts();
+    let result = await requestSceneResponse(message, screenshot, request);
     appendHistory("user", message);
-    appendHistory("assistant", responseText);
+    appendHistory("assistant", formatHistoryText(result.responseText, result.step?.operations));
 
-    if (code) {
-      try {
-        executeCode(code, sceneContext);
-        const stateIndex =
-          sceneStateStack.push({
-            code,
-            parentIndex: activeStateIndex,
-            viewState: sceneContext.captureViewState()
-          }) - 1;
-        activeStateIndex = stateIndex;
-        const lineHandle = terminal.addAssistantMessageWithAction(
-          formatAssistantText(responseText),
-          {
-            icon: "↺",
-            title: "revert",
-            onClick: () => revertToState(stateIndex)
-          }
-        );
+    for (let attempt = 0; result.step; attempt += 1) {
+      const step = terminal.isReviewEnabled() ? await reviewStateStep(result.step) : result.step;
+      if (!step) {
+        break;
+      }
 
-        if (lineHandle?.button) {
-          registerRevertAction(lineHandle.button, stateIndex);
-        }
+      try {
+        await applyStateStepWithRollback(step);
+        commitStateStep(step, result.responseText, displayText || message);
+        break;
       } catch (error) {
         const errorText = error instanceof Error ? error.message : "Unknown execution error.";
         terminal.addError(`Code execution failed: ${errorText}`);
+        if (attempt >= maxRepairAttempts) {
+          break;
+        }
+
+        terminal.addAssistantMessage(
+          `Auto-fix attempt ${attempt + 1}/${maxRepairAttempts}: sending the error back to ${selectedProviderConfig.label}.`
+        );
+        const repairMessage = buildRepairMessage(message, step, error);
+        const repairScreenshot = captureSceneScreenshot();
+        if (!repairScreenshot) {
+          throw new Error("Failed to capture scene screenshot. Auto-fix was not sent.");
+        }
+
+        terminal.showThinking();
+        result = await requestSceneResponse(repairMessage, repairScreenshot, request);
+        appendHistory("user", repairMessage);
+        appendHistory("assistant", formatHistoryText(result.responseText, result.step?.operations));
       }
-    } else {
-      terminal.addAssistantMessage(responseText || "No code block returned.");
+    }
+
+    if (!result.step) {
+      terminal.addAssistantMarkdown(result.responseText || "No code block returned.");
     }
 
     updateProviderControls(result.provider, { rememberPreviousProviderKey: false });
   } catch (error) {
     terminal.hideThinking();
+    terminal.finishStreamingMessage();
     const errorText = error instanceof Error ? error.message : "Unknown error.";
     terminal.addError(errorText);
   } finally {
     isBusy = false;
     terminal.disableInput(false);
     terminal.focusInput();
+    scheduleSessionSave();
   }
 }
 
+terminal.setCommands(TERMINAL_COMMANDS);
+
 terminal.onProviderChange((providerId) => {
   updateProviderControls(providerId);
 });
@@ -487,7 +1860,7 @@ terminal.onProviderChange((providerId) => {
 terminal.onApiKeyInput(() => {
   const providerId = terminal.getSelectedProvider();
   const provider = providerById.get(providerId);
-  if (!provider || provider.envConfigured) {
+  if (!providerNeedsRuntimeKey(provider)) {
     return;
   }
 
@@ -519,6 +1892,30 @@ terminal.onApiKeyPaste(() => {
   }, 0);
 });
 
+terminal.onSelectionRemove((index) => {
+  if (index === null) {
+    selection.clear();
+  } else {
+    selection.deselect(selection.getSelected()[index]);
+  }
+});
+
+terminal.onExportRequest((options) => {
+  exportCurrentScene(options);
+});
+
+terminal.onRunCode(runCodeBlock);
+
+terminal.onRecordRequest((options) => {
+  if (recorder.isRecording()) {
+    recorder.stopLiveRecording();
+  } else if (options.mode === "webm") {
+    recordLiveVideo(options);
+  } else {
+    recordFrameSequence(options);
+  }
+});
+
 terminal.onApiKeyClear(() => {
   const providerId = terminal.getSelectedProvider();
   if (!providerId) {
@@ -535,7 +1932,8 @@ terminal.onApiKeyClear(() => {
   terminal.setApiKeyClearVisible(false);
 });
 
-initializeProviders()
+initializeSessions()
+  .then(initializeProviders)
   .then(() => {
     terminal.disableInput(false);
     terminal.focusInput();
@@ -548,6 +1946,21 @@ initializeProviders()
     terminal.disableInput(true);
   });
 
+// Unload handlers cannot wait for IndexedDB, so pending saves are flushed as soon as the page is
+// hidden, which happens before it is closed or navigated away from.
+function flushSessionSave() {
+  if (sessionSaveTimeoutId) {
+    persistActiveSession();
+  }
+}
+
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") {
+    flushSessionSave();
+  }
+});
+window.addEventListener("pagehide", flushSessionSave);
+
 window.addEventListener("beforeunload", () => {
   sceneContext.dispose();
 });
@@ -0,0 +1,245 @@
+import { Lexer } from "marked";
+
+import { createHighlightedCode } from "./code-highlight";
+
+const RUNNABLE_LANGUAGES = new Set(["", "javascript", "js", "threejs"]);
+const HIGHLIGHTED_LANGUAGES = new Set([...RUNNABLE_LANGUAGES, "json"]);
+const SAFE_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+const CODE_BUTTON_CLASS =
+  "rounded border border-slate-700 px-1.5 py-0 text-[11px] text-slate-300 transition hover:border-slate-500 hover:text-slate-100";
+
+function getSafeHref(href) {
+  try {
+    const url = new URL(href);
+    return SAFE_PROTOCOLS.has(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+function createCodeButton(text, title, onClick) {
+  const button = createElement("button", CODE_BUTTON_CLASS, text);
+  button.type = "button";
+  button.title = title;
+  button.addEventListener("click", (event) => {
+    // Buttons live in the <summary>, so keep the click from toggling the block.
+    event.preventDefault();
+    onClick(button);
+  });
+  return button;
+}
+
+function flashLabel(button, text) {
+  const label = button.textContent;
+  button.textContent = text;
+  window.setTimeout(() => {
+    button.textContent = label;
+  }, 1200);
+}
+
+// Collapsed by default: the summary names the language and size, the body is highlighted.
+function renderCodeBlock(token, { onRunCode }) {
+  const language = (token.lang || "").trim().split(/\s+/)[0].toLowerCase();
+  const code = token.text;
+  const lineCount = code.split("\n").length;
+
+  const details = createElement(
+    "details",
+    "group my-1 rounded border border-slate-700 bg-slate-900/70 text-slate-100"
+  );
+  const summary = createElement(
+    "summary",
+    "flex cursor-pointer list-none items-center gap-2 px-2 py-1 text-xs text-slate-400"
+  );
+  summary.append(
+    createElement("span", "transition group-open:rotate-90", "▸"),
+    createElement("span", "flex-1", `${language || "code"} · ${lineCount} line(s)`),
+    createCodeButton("Copy", "Copy the code", (button) => {
+      navigator.clipboard
+        .writeText(code)
+        .then(() => flashLabel(button, "Copied"))
+        .catch(() => flashLabel(button, "Copy failed"));
+    })
+  );
+  if (onRunCode && RUNNABLE_LANGUAGES.has(language)) {
+    summary.appendChild(
+      createCodeButton("Run again", "Run this code on the current scene as a new state", () =>
+        onRunCode(code)
+      )
+    );
+  }
+
+  const pre = createElement(
+    "pre",
+    "overflow-x-auto whitespace-pre border-t border-slate-800 p-2 text-xs leading-relaxed"
+  );
+  pre.appendChild(
+    HIGHLIGHTED_LANGUAGES.has(language)
+      ? createHighlightedCode(code)
+      : createElement("code", "", code)
+  );
+  details.append(summary, pre);
+  return details;
+}
+
+function renderInline(tokens, parent) {
+  tokens.forEach((token) => {
+    switch (token.type) {
+      case "strong":
+        renderInline(token.tokens, parent.appendChild(createElement("strong", "font-semibold")));
+        break;
+      case "em":
+        renderInline(token.tokens, parent.appendChild(createElement("em", "italic")));
+        break;
+      case "del":
+        renderInline(token.tokens, parent.appendChild(createElement("del", "line-through")));
+        break;
+      case "codespan":
+        parent.appendChild(
+          createElement("code", "rounded bg-slate-800 px-1 text-slate-100", token.text)
+        );
+        break;
+      case "link":
+      case "image": {
+        // Images are linked rather than loaded, so replies cannot pull in remote content.
+        const href = getSafeHref(token.href);
+        if (!href) {
+          parent.append(token.text);
+          break;
+        }
+
+        const link = createElement("a", "text-cyan-300 underline hover:text-cyan-100");
+        link.href = href;
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+        if (token.type === "image" || !token.tokens) {
+          link.textContent = token.text || href;
+        } else {
+          renderInline(token.tokens, link);
+        }
+        parent.appendChild(link);
+        break;
+      }
+      case "br":
+        parent.appendChild(document.createElement("br"));
+        break;
+      case "text":
+        if (token.tokens) {
+          renderInline(token.tokens, parent);
+        } else {
+          parent.append(token.text);
+        }
+        break;
+      case "escape":
+        parent.append(token.text);
+        break;
+      default:
+        // Raw HTML and anything unknown is shown as written.
+        parent.append(token.raw ?? "");
+    }
+  });
+}
+
+function renderList(token, options) {
+  const list = createElement(
+    token.ordered ? "ol" : "ul",
+    token.ordered ? "list-decimal pl-5" : "list-disc pl-5"
+  );
+  if (token.ordered && token.start !== "" && token.start !== 1) {
+    list.start = Number(token.start);
+  }
+
+  token.items.forEach((item) => {
+    const itemEl = createElement("li", "whitespace-pre-wrap");
+    if (item.task) {
+      itemEl.append(item.checked ? "[x] " : "[ ] ");
+    }
+    renderBlocks(
+      item.tokens.filter((child) => child.type !== "checkbox"),
+      itemEl,
+      options
+    );
+    list.appendChild(itemEl);
+  });
+  return list;
+}
+
+function renderTable(token) {
+  const table = createElement("table", "my-1 border-collapse text-left");
+  const createRow = (cells, tagName) => {
+    const row = document.createElement("tr");
+    cells.forEach((cell) => {
+      const cellEl = createElement(tagName, "border border-slate-700 px-2 py-0.5");
+      renderInline(cell.tokens, cellEl);
+      row.appendChild(cellEl);
+    });
+    return row;
+  };
+
+  table.createTHead().appendChild(createRow(token.header, "th"));
+  const body = table.createTBody();
+  token.rows.forEach((cells) => body.appendChild(createRow(cells, "td")));
+  return table;
+}
+
+function renderBlocks(tokens, parent, options) {
+  tokens.forEach((token) => {
+    switch (token.type) {
+      case "space":
+      case "def":
+        break;
+      case "paragraph":
+        renderInline(token.tokens, parent.appendChild(createElement("div", "whitespace-pre-wrap")));
+        break;
+      case "text":
+        // Tight list items hold bare text tokens instead of paragraphs.
+        renderInline(token.tokens ?? [token], parent);
+        break;
+      case "heading":
+        renderInline(token.tokens, parent.appendChild(createElement("div", "font-semibold")));
+        break;
+      case "blockquote": {
+        const quote = createElement(
+          "blockquote",
+          "border-l-2 border-slate-600 pl-2 text-slate-300"
+        );
+        renderBlocks(token.tokens, quote, options);
+        parent.appendChild(quote);
+        break;
+      }
+      case "list":
+        parent.appendChild(renderList(token, options));
+        break;
+      case "table":
+        parent.appendChild(renderTable(token));
+        break;
+      case "code":
+        parent.appendChild(renderCodeBlock(token, options));
+        break;
+      case "hr":
+        parent.appendChild(createElement("hr", "my-1 border-slate-700"));
+        break;
+      default:
+        parent.appendChild(createElement("div", "whitespace-pre-wrap", token.raw ?? ""));
+    }
+  });
+}
+
+// Renders Markdown into DOM nodes without ever parsing HTML, so replies cannot inject markup.
+// Links are limited to http(s) and mailto. `onRunCode(code)` adds "Run again" to JS code blocks.
+export function renderMarkdown(text, { onRunCode } = {}) {
+  const container = createElement("div", "min-w-0 flex-1 space-y-1");
+  renderBlocks(Lexer.lex(text, { gfm: true }), container, { onRunCode });
+  return container;
+}
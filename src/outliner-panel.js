@@ -0,0 +1,362 @@
+import { BASE_OBJECT_NAMES } from "./scene";
+import { getObjectReference } from "./selection";
+
+const REFRESH_INTERVAL_MS = 500;
+const MAX_OUTLINER_ROWS = 500;
+const UNNAMED_HINT = "Unnamed: prompts cannot refer to this object by name. Name it below.";
+
+function round(value) {
+  return Math.round(value * 10000) / 10000 || 0;
+}
+
+function toDegrees(radians) {
+  return round((radians * 180) / Math.PI);
+}
+
+function getEditableMaterial(object) {
+  return object.material && !Array.isArray(object.material) ? object.material : null;
+}
+
+function formatColor(color) {
+  return `#${color.getHexString()}`;
+}
+
+// Code for one inspector edit, written against the object as it exists before the edit.
+function createPropertyCode(object, scene, property, value) {
+  const reference = getObjectReference(object, scene);
+  switch (property) {
+    case "name":
+      return `${reference}.name = ${JSON.stringify(value)};`;
+    case "visible":
+      return `${reference}.visible = ${value};`;
+    case "position":
+    case "scale":
+      return `${reference}.${property}.set(${value.map(round).join(", ")});`;
+    case "rotation":
+      return `${reference}.rotation.set(${value
+        .map((degrees) => round((degrees * Math.PI) / 180))
+        .join(", ")});`;
+    case "color": {
+      const target = object.isLight ? reference : `${reference}.material`;
+      return `${target}.color.set(${JSON.stringify(value)});`;
+    }
+    case "roughness":
+    case "metalness":
+      return `${reference}.material.${property} = ${round(value)};`;
+    case "intensity":
+      return `${reference}.intensity = ${round(value)};`;
+    default:
+      throw new Error(`Unsupported property '${property}'.`);
+  }
+}
+
+function describeObjectState(object) {
+  const material = getEditableMaterial(object);
+  return JSON.stringify([
+    object.name,
+    object.visible,
+    object.position.toArray().map(round),
+    [object.rotation.x, object.rotation.y, object.rotation.z].map(round),
+    object.scale.toArray().map(round),
+    object.color?.isColor ? formatColor(object.color) : null,
+    object.intensity ?? null,
+    material?.color?.isColor ? formatColor(material.color) : null,
+    material?.roughness ?? null,
+    material?.metalness ?? null
+  ]);
+}
+
+function createInput(type, value, className) {
+  const input = document.createElement("input");
+  input.type = type;
+  input.value = String(value);
+  input.className = `rounded border border-slate-700 bg-slate-900 px-1 py-0.5 text-xs text-slate-100 focus:border-cyan-500 focus:outline-none ${className}`;
+  return input;
+}
+
+function createField(label, ...controls) {
+  const fieldEl = document.createElement("div");
+  fieldEl.className = "grid grid-cols-[4.5rem_1fr] items-center gap-2";
+
+  const labelEl = document.createElement("span");
+  labelEl.className = "text-slate-400";
+  labelEl.textContent = label;
+
+  const controlsEl = document.createElement("div");
+  controlsEl.className = "flex min-w-0 gap-1";
+  controlsEl.append(...controls);
+
+  fieldEl.append(labelEl, controlsEl);
+  return fieldEl;
+}
+
+export function createOutlinerPanel(sceneContext, { onSelect, onEdit }) {
+  const { scene } = sceneContext;
+  const panelEl = document.getElementById("outliner-panel");
+  const toggleEl = document.getElementById("outliner-toggle");
+  const closeEl = document.getElementById("outliner-close");
+  const noticeEl = document.getElementById("outliner-notice");
+  const treeEl = document.getElementById("outliner-tree");
+  const inspectorEl = document.getElementById("outliner-inspector");
+
+  let selectedObjects = [];
+  let treeSignature = "";
+  let inspectedSignature = "";
+  let refreshIntervalId = 0;
+
+  function edit(object, property, value) {
+    onEdit(object, { property, code: createPropertyCode(object, scene, property, value) });
+  }
+
+  function createNumberInput(value, step, onCommit) {
+    const input = createInput("number", value, "w-full min-w-0");
+    input.step = String(step);
+    input.addEventListener("change", () => {
+      const nextValue = Number.parseFloat(input.value);
+      if (Number.isFinite(nextValue)) {
+        onCommit(nextValue);
+      }
+    });
+    return input;
+  }
+
+  function createVectorField(label, values, step, onCommit) {
+    const inputs = values.map((value, index) =>
+      createNumberInput(value, step, (nextValue) => {
+        const nextValues = [...values];
+        nextValues[index] = nextValue;
+        onCommit(nextValues);
+      })
+    );
+    return createField(label, ...inputs);
+  }
+
+  function createColorField(label, color, onCommit) {
+    const input = createInput("color", formatColor(color), "h-6 w-12 p-0");
+    input.addEventListener("change", () => onCommit(input.value));
+    return createField(label, input);
+  }
+
+  function renderTree() {
+    treeEl.innerHTML = "";
+    let rowCount = 0;
+    let unnamedCount = 0;
+
+    const visit = (object, depth) => {
+      const isBaseObject = object.parent === scene && BASE_OBJECT_NAMES.has(object.name);
+      if (!object.name) {
+        unnamedCount += 1;
+      }
+
+      rowCount += 1;
+      if (rowCount <= MAX_OUTLINER_ROWS) {
+        treeEl.appendChild(createRow(object, depth, isBaseObject));
+      }
+      object.children.forEach((child) => visit(child, depth + 1));
+    };
+    scene.children.forEach((child) => visit(child, 0));
+
+    if (rowCount > MAX_OUTLINER_ROWS) {
+      const moreEl = document.createElement("li");
+      moreEl.className = "px-2 py-1 text-slate-500";
+      moreEl.textContent = `… ${rowCount - MAX_OUTLINER_ROWS} more object(s)`;
+      treeEl.appendChild(moreEl);
+    }
+
+    noticeEl.classList.toggle("hidden", unnamedCount === 0);
+    noticeEl.textContent =
+      unnamedCount === 1
+        ? "⚠ 1 unnamed object. Prompts can only refer to objects by name."
+        : `⚠ ${unnamedCount} unnamed objects. Prompts can only refer to objects by name.`;
+  }
+
+  function createRow(object, depth, isBaseObject) {
+    const rowEl = document.createElement("li");
+    const isSelected = selectedObjects.includes(object);
+    rowEl.className = `flex cursor-pointer items-center gap-1 rounded py-0.5 pr-2 ${
+      isSelected ? "bg-cyan-950 text-cyan-100" : "hover:bg-slate-800/70"
+    } ${isBaseObject ? "text-slate-500" : ""}`;
+    rowEl.style.paddingLeft = `${depth * 12 + 4}px`;
+    rowEl.addEventListener("click", (event) => onSelect(object, { additive: event.shiftKey }));
+
+    const visibilityEl = document.createElement("button");
+    visibilityEl.type = "button";
+    visibilityEl.textContent = object.visible ? "●" : "○";
+    visibilityEl.title = object.visible ? "Hide" : "Show";
+    visibilityEl.setAttribute("aria-label", visibilityEl.title);
+    visibilityEl.className = "w-4 text-slate-400 transition hover:text-cyan-300";
+    visibilityEl.addEventListener("click", (event) => {
+      event.stopPropagation();
+      edit(object, "visible", !object.visible);
+    });
+
+    const nameEl = document.createElement("span");
+    nameEl.className = "min-w-0 flex-1 truncate";
+    if (object.name) {
+      nameEl.textContent = object.name;
+    } else {
+      nameEl.textContent = "⚠ unnamed";
+      nameEl.title = UNNAMED_HINT;
+      nameEl.classList.add("text-amber-300");
+    }
+
+    const typeEl = document.createElement("span");
+    typeEl.className = "shrink-0 text-slate-500";
+    typeEl.textContent = object.type;
+
+    rowEl.append(visibilityEl, nameEl, typeEl);
+    return rowEl;
+  }
+
+  function renderInspector() {
+    inspectorEl.innerHTML = "";
+    const [object] = selectedObjects;
+    inspectedSignature = object && selectedObjects.length === 1 ? describeObjectState(object) : "";
+
+    if (selectedObjects.length !== 1) {
+      const hintEl = document.createElement("p");
+      hintEl.className = "text-slate-500";
+      hintEl.textContent =
+        selectedObjects.length === 0
+          ? "Select an object in the viewport or the list to inspect it."
+          : "Select a single object to edit its properties.";
+      inspectorEl.appendChild(hintEl);
+      return;
+    }
+
+    const headerEl = document.createElement("p");
+    headerEl.className = "text-slate-400";
+    headerEl.textContent = object.type;
+    inspectorEl.appendChild(headerEl);
+
+    if (!object.name) {
+      const warningEl = document.createElement("p");
+      warningEl.className = "text-amber-300";
+      warningEl.textContent = UNNAMED_HINT;
+      inspectorEl.appendChild(warningEl);
+    }
+
+    const nameInput = createInput("text", object.name, "w-full min-w-0");
+    nameInput.placeholder = "Name this object";
+    nameInput.spellcheck = false;
+    nameInput.addEventListener("change", () => {
+      const name = nameInput.value.trim();
+      if (name && name !== object.name) {
+        edit(object, "name", name);
+      }
+    });
+
+    const { x, y, z } = object.rotation;
+    const fields = [
+      createField("Name", nameInput),
+      createVectorField("Position", object.position.toArray().map(round), 0.1, (values) =>
+        edit(object, "position", values)
+      ),
+      createVectorField("Rotation°", [x, y, z].map(toDegrees), 5, (values) =>
+        edit(object, "rotation", values)
+      ),
+      createVectorField("Scale", object.scale.toArray().map(round), 0.1, (values) =>
+        edit(object, "scale", values)
+      )
+    ];
+
+    const material = getEditableMaterial(object);
+    if (object.isLight) {
+      if (object.color?.isColor) {
+        fields.push(
+          createColorField("Color", object.color, (value) => edit(object, "color", value))
+        );
+      }
+      fields.push(
+        createField(
+          "Intensity",
+          createNumberInput(round(object.intensity), 0.1, (value) =>
+            edit(object, "intensity", value)
+          )
+        )
+      );
+    } else if (material) {
+      if (material.color?.isColor) {
+        fields.push(
+          createColorField("Color", material.color, (value) => edit(object, "color", value))
+        );
+      }
+      ["roughness", "metalness"].forEach((property) => {
+        if (typeof material[property] === "number") {
+          const input = createNumberInput(round(material[property]), 0.05, (value) =>
+            edit(object, property, Math.min(1, Math.max(0, value)))
+          );
+          input.min = "0";
+          input.max = "1";
+          fields.push(createField(property[0].toUpperCase() + property.slice(1), input));
+        }
+      });
+    } else if (Array.isArray(object.material)) {
+      const noteEl = document.createElement("p");
+      noteEl.className = "text-slate-500";
+      noteEl.textContent = "Objects with several materials can only be restyled from prompts.";
+      fields.push(noteEl);
+    }
+
+    inspectorEl.append(...fields);
+  }
+
+  // Polls while open, so changes from code, animations and reverts show up without extra hooks.
+  // The inspector is left alone while one of its inputs has focus.
+  function refresh({ force = false } = {}) {
+    const signatureParts = [];
+    scene.traverse((object) => {
+      if (object !== scene) {
+        const { uuid, name, visible, parent } = object;
+        signatureParts.push(`${uuid}:${name}:${visible}:${parent.uuid}`);
+      }
+    });
+    const nextTreeSignature = `${signatureParts.join("|")}#${selectedObjects
+      .map((object) => object.uuid)
+      .join(",")}`;
+    if (force || nextTreeSignature !== treeSignature) {
+      treeSignature = nextTreeSignature;
+      renderTree();
+    }
+
+    const [object] = selectedObjects;
+    const nextInspectedSignature =
+      object && selectedObjects.length === 1 ? describeObjectState(object) : "";
+    const isEditing = inspectorEl.contains(document.activeElement);
+    if (force || (!isEditing && nextInspectedSignature !== inspectedSignature)) {
+      renderInspector();
+    }
+  }
+
+  function setOpen(open) {
+    panelEl.classList.toggle("hidden", !open);
+    panelEl.classList.toggle("flex", open);
+    toggleEl.setAttribute("aria-expanded", String(open));
+
+    window.clearInterval(refreshIntervalId);
+    refreshIntervalId = 0;
+    if (open) {
+      refresh({ force: true });
+      refreshIntervalId = window.setInterval(refresh, REFRESH_INTERVAL_MS);
+    }
+  }
+
+  function setSelection(objects) {
+    selectedObjects = objects;
+    if (refreshIntervalId) {
+      refresh({ force: true });
+    }
+  }
+
+  toggleEl.addEventListener("click", () => setOpen(panelEl.classList.contains("hidden")));
+  closeEl.addEventListener("click", () => setOpen(false));
+
+  return {
+    setSelection,
+    refresh() {
+      if (refreshIntervalId) {
+        refresh({ force: true });
+      }
+    }
+  };
+}
@@ -0,0 +1,355 @@
+import * as CANNON from "cannon-es";
+import * as THREE from "three";
+
+const PHYSICS_SHAPES = new Set(["box", "sphere", "plane", "trimesh"]);
+const DEFAULT_GRAVITY = [0, -9.82, 0];
+const DEFAULT_FRICTION = 0.5;
+const DEFAULT_RESTITUTION = 0.5;
+const FIXED_TIME_STEP = 1 / 60;
+const MAX_SUB_STEPS = 5;
+
+function readVector(value, label) {
+  if (
+    !Array.isArray(value) ||
+    value.length !== 3 ||
+    !value.every((entry) => typeof entry === "number" && Number.isFinite(entry))
+  ) {
+    throw new Error(`physics: \`${label}\` must be an [x, y, z] array of numbers.`);
+  }
+
+  return value;
+}
+
+function readNonNegative(value, fallback, label) {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    throw new Error(`physics: \`${label}\` must be a number of at least 0.`);
+  }
+
+  return value;
+}
+
+function requireObject(object) {
+  if (!object?.isObject3D) {
+    throw new Error(
+      "physics: expected a THREE.Object3D, such as a mesh from scene.getObjectByName."
+    );
+  }
+
+  return object;
+}
+
+function isInScene(object, scene) {
+  for (let node = object; node; node = node.parent) {
+    if (node === scene) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Local-space bounds of the object's own geometry, or of its whole subtree for groups and models.
+function getLocalBounds(object) {
+  if (object.geometry) {
+    object.geometry.computeBoundingBox();
+    return object.geometry.boundingBox.clone();
+  }
+
+  object.updateMatrixWorld(true);
+  const toLocal = object.matrixWorld.clone().invert();
+  const bounds = new THREE.Box3();
+  object.traverse((node) => {
+    if (node.geometry) {
+      node.geometry.computeBoundingBox();
+      const nodeBounds = node.geometry.boundingBox.clone().applyMatrix4(node.matrixWorld);
+      bounds.union(nodeBounds.applyMatrix4(toLocal));
+    }
+  });
+  return bounds;
+}
+
+function createTrimeshShape(object, scale) {
+  const position = object.geometry?.getAttribute("position");
+  if (!position) {
+    const objectName = object.name || "unnamed";
+    throw new Error(`physics: trimesh needs a mesh with geometry, "${objectName}" has none.`);
+  }
+
+  const vertices = new Float32Array(position.count * 3);
+  for (let index = 0; index < position.count; index += 1) {
+    vertices[index * 3] = position.getX(index) * scale.x;
+    vertices[index * 3 + 1] = position.getY(index) * scale.y;
+    vertices[index * 3 + 2] = position.getZ(index) * scale.z;
+  }
+
+  const indices = object.geometry.index
+    ? Array.from(object.geometry.index.array)
+    : Array.from({ length: position.count }, (_, index) => index);
+  return new CANNON.Trimesh(vertices, indices);
+}
+
+// Builds the collision shape and its offset from the body origin, both in world scale.
+function createShape(object, config) {
+  const scale = object.getWorldScale(new THREE.Vector3());
+  const offset = new CANNON.Vec3();
+
+  switch (config.shape) {
+    case "plane":
+      return { shape: new CANNON.Plane(), offset };
+    case "trimesh":
+      return { shape: createTrimeshShape(object, scale), offset };
+    case "sphere": {
+      if (config.radius !== undefined) {
+        return { shape: new CANNON.Sphere(readNonNegative(config.radius, 0, "radius")), offset };
+      }
+
+      // The largest half-extent fits sphere geometries exactly, unlike the bounds' corner sphere.
+      const bounds = getLocalBounds(object);
+      const size = new THREE.Vector3(1, 1, 1);
+      const center = new THREE.Vector3();
+      if (!bounds.isEmpty()) {
+        bounds.getSize(size);
+        bounds.getCenter(center);
+      }
+      size.multiply(scale);
+      offset.set(center.x * scale.x, center.y * scale.y, center.z * scale.z);
+      return { shape: new CANNON.Sphere(Math.max(size.x, size.y, size.z, 0.002) / 2), offset };
+    }
+    default: {
+      if (config.size !== undefined) {
+        const [width, height, depth] = readVector(config.size, "size");
+        const halfExtents = new CANNON.Vec3(width / 2, height / 2, depth / 2);
+        return { shape: new CANNON.Box(halfExtents), offset };
+      }
+
+      const bounds = getLocalBounds(object);
+      const size = new THREE.Vector3(1, 1, 1);
+      const center = new THREE.Vector3();
+      if (!bounds.isEmpty()) {
+        bounds.getSize(size);
+        bounds.getCenter(center);
+      }
+      offset.set(center.x * scale.x, center.y * scale.y, center.z * scale.z);
+      const halfExtents = new CANNON.Vec3(
+        Math.max((size.x * scale.x) / 2, 0.001),
+        Math.max((size.y * scale.y) / 2, 0.001),
+        Math.max((size.z * scale.z) / 2, 0.001)
+      );
+      return { shape: new CANNON.Box(halfExtents), offset };
+    }
+  }
+}
+
+function normalizeConfig(options) {
+  const shape = options.shape ?? "box";
+  if (!PHYSICS_SHAPES.has(shape)) {
+    throw new Error(`physics: unknown shape '${shape}'. Use ${[...PHYSICS_SHAPES].join(", ")}.`);
+  }
+
+  // Planes and trimeshes only collide as static bodies.
+  const mass =
+    shape === "plane" || shape === "trimesh" ? 0 : readNonNegative(options.mass, 1, "mass");
+  const config = {
+    shape,
+    mass,
+    friction: readNonNegative(options.friction, DEFAULT_FRICTION, "friction"),
+    restitution: readNonNegative(options.restitution, DEFAULT_RESTITUTION, "restitution")
+  };
+  if (options.size !== undefined) {
+    config.size = [...readVector(options.size, "size")];
+  }
+  if (options.radius !== undefined) {
+    config.radius = readNonNegative(options.radius, 0, "radius");
+  }
+  if (options.velocity !== undefined) {
+    config.velocity = [...readVector(options.velocity, "velocity")];
+  }
+  if (options.angularVelocity !== undefined) {
+    config.angularVelocity = [...readVector(options.angularVelocity, "angularVelocity")];
+  }
+
+  return config;
+}
+
+// Rigid bodies linked to scene objects. Each body's settings live in `userData.physics`, so the
+// world can be rebuilt from the scene after a reset, replay or snapshot restore.
+export function createPhysics(scene) {
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(...DEFAULT_GRAVITY) });
+  const bodies = new Map();
+  // Transforms last written to each object, to tell physics motion from edits made elsewhere.
+  const syncedTransforms = new WeakMap();
+  const attachedObjects = new WeakSet();
+  const worldPosition = new THREE.Vector3();
+  const worldQuaternion = new THREE.Quaternion();
+  const parentQuaternion = new THREE.Quaternion();
+
+  function copyObjectTransform(object, body) {
+    object.updateWorldMatrix(true, false);
+    object.getWorldPosition(worldPosition);
+    object.getWorldQuaternion(worldQuaternion);
+    body.position.set(worldPosition.x, worldPosition.y, worldPosition.z);
+    body.quaternion.set(worldQuaternion.x, worldQuaternion.y, worldQuaternion.z, worldQuaternion.w);
+  }
+
+  function copyBodyTransform(body, object) {
+    worldPosition.set(body.position.x, body.position.y, body.position.z);
+    worldQuaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+    if (object.parent) {
+      object.parent.updateWorldMatrix(true, false);
+      object.parent.worldToLocal(worldPosition);
+      worldQuaternion.premultiply(object.parent.getWorldQuaternion(parentQuaternion).invert());
+    }
+    object.position.copy(worldPosition);
+    object.quaternion.copy(worldQuaternion);
+    syncedTransforms.set(object, {
+      position: object.position.clone(),
+      quaternion: object.quaternion.clone()
+    });
+  }
+
+  function wasMovedElsewhere(object) {
+    const synced = syncedTransforms.get(object);
+    return (
+      !synced ||
+      !synced.position.equals(object.position) ||
+      !synced.quaternion.equals(object.quaternion)
+    );
+  }
+
+  function removeBody(object) {
+    const body = bodies.get(object);
+    if (body) {
+      world.removeBody(body);
+      bodies.delete(object);
+    }
+  }
+
+  function addBody(object, config) {
+    removeBody(object);
+    const { shape, offset } = createShape(object, config);
+    const body = new CANNON.Body({
+      mass: config.mass,
+      material: new CANNON.Material({
+        friction: config.friction,
+        restitution: config.restitution
+      })
+    });
+    body.addShape(shape, offset);
+    copyObjectTransform(object, body);
+    if (config.velocity) {
+      body.velocity.set(...config.velocity);
+    }
+    if (config.angularVelocity) {
+      body.angularVelocity.set(...config.angularVelocity);
+    }
+
+    world.addBody(body);
+    bodies.set(object, body);
+    return body;
+  }
+
+  function requireBody(object) {
+    const body = bodies.get(requireObject(object));
+    if (!body) {
+      const objectName = object.name || "unnamed";
+      throw new Error(`physics: "${objectName}" has no body. Call physics.add first.`);
+    }
+
+    return body;
+  }
+
+  // Bodies of objects that left the scene are dropped. Static bodies follow their objects, and
+  // dynamic bodies jump to objects moved by code, the gizmo or the inspector.
+  function step(delta) {
+    if (bodies.size === 0 || !(delta > 0)) {
+      return;
+    }
+
+    for (const [object, body] of [...bodies]) {
+      if (!isInScene(object, scene)) {
+        if (attachedObjects.has(object)) {
+          removeBody(object);
+        }
+        continue;
+      }
+
+      attachedObjects.add(object);
+      if (body.mass === 0 || wasMovedElsewhere(object)) {
+        copyObjectTransform(object, body);
+      }
+    }
+
+    world.step(FIXED_TIME_STEP, delta, MAX_SUB_STEPS);
+    bodies.forEach((body, object) => {
+      if (body.mass > 0) {
+        copyBodyTransform(body, object);
+      }
+    });
+  }
+
+  function reset() {
+    [...bodies.keys()].forEach(removeBody);
+    world.gravity.set(...DEFAULT_GRAVITY);
+  }
+
+  function rebuild() {
+    reset();
+    const gravity = scene.userData.physics?.gravity;
+    if (Array.isArray(gravity) && gravity.length === 3) {
+      world.gravity.set(...gravity);
+    }
+
+    scene.traverse((object) => {
+      if (object !== scene && object.userData.physics) {
+        try {
+          addBody(object, normalizeConfig(object.userData.physics));
+        } catch (error) {
+          const objectName = object.name || "unnamed";
+          console.error(`Physics body for "${objectName}" could not be rebuilt:`, error);
+        }
+      }
+    });
+  }
+
+  // Writes current velocities into `userData.physics` before the scene is serialized.
+  function persist() {
+    bodies.forEach((body, object) => {
+      if (body.mass > 0 && object.userData.physics) {
+        object.userData.physics.velocity = body.velocity.toArray();
+        object.userData.physics.angularVelocity = body.angularVelocity.toArray();
+      }
+    });
+  }
+
+  const api = Object.freeze({
+    CANNON,
+    add(object, options = {}) {
+      requireObject(object);
+      const config = normalizeConfig(options);
+      const body = addBody(object, config);
+      object.userData.physics = config;
+      return body;
+    },
+    remove(object) {
+      removeBody(requireObject(object));
+      delete object.userData.physics;
+    },
+    has: (object) => bodies.has(object),
+    getBody: (object) => bodies.get(object) ?? null,
+    setVelocity(object, velocity) {
+      requireBody(object).velocity.set(...readVector(velocity, "velocity"));
+    },
+    applyImpulse(object, impulse) {
+      requireBody(object).applyImpulse(new CANNON.Vec3(...readVector(impulse, "impulse")));
+    },
+    setGravity(gravity) {
+      world.gravity.set(...readVector(gravity, "gravity"));
+      scene.userData.physics = { ...scene.userData.physics, gravity: [...gravity] };
+    }
+  });
+
+  return { api, step, reset, rebuild, persist };
+}
@@ -0,0 +1,235 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import * as SkeletonUtils from "three/examples/jsm/utils/SkeletonUtils.js";
+
+import { runWithTimeBudget } from "./executor";
+import { BASE_OBJECT_NAMES } from "./scene";
+
+const EXPORT_FORMATS = new Set(["glb", "gltf", "json"]);
+const BAKE_FPS = 30;
+const BAKE_UPDATE_BUDGET_MS = 20;
+const DEFAULT_BAKE_SECONDS = 4;
+const MAX_BAKE_SECONDS = 60;
+
+function isBaseObject(object, scene) {
+  return object.parent === scene && BASE_OBJECT_NAMES.has(object.name);
+}
+
+function forEachPair(source, clone, callback) {
+  callback(source, clone);
+  source.children.forEach((child, index) => forEachPair(child, clone.children[index], callback));
+}
+
+function formatObjectNames(objects) {
+  const names = objects.slice(0, 5).map((object) => `"${object.name || "unnamed"}"`).join(", ");
+  return objects.length > 5 ? `${names} and ${objects.length - 5} more` : names;
+}
+
+// Base objects are only skipped at the top level, so a grid the user parented elsewhere stays.
+function createExportRoot(scene, includeBaseObjects) {
+  const root = new THREE.Scene();
+  root.name = "Scene";
+  root.background = scene.background;
+  root.fog = scene.fog;
+
+  const cloneBySource = new Map();
+  scene.children.forEach((child) => {
+    if (!includeBaseObjects && isBaseObject(child, scene)) {
+      return;
+    }
+
+    const clone = SkeletonUtils.clone(child);
+    forEachPair(child, clone, (sourceNode, clonedNode) => {
+      cloneBySource.set(sourceNode, clonedNode);
+    });
+    root.add(clone);
+  });
+
+  return { root, cloneBySource };
+}
+
+function collectAnimatedObjects(cloneBySource) {
+  return [...cloneBySource.keys()].filter(
+    (object) => typeof object.userData?.update === "function"
+  );
+}
+
+// Runs each userData.update at fixed time steps and records the resulting transforms of every
+// exported object. Only position, rotation and scale are captured; live transforms are restored.
+function bakeUpdateCallbacks(animatedObjects, cloneBySource, seconds) {
+  const sources = [...cloneBySource.keys()];
+  const initial = sources.map((object) => ({
+    position: object.position.clone(),
+    quaternion: object.quaternion.clone(),
+    scale: object.scale.clone()
+  }));
+  const samples = sources.map(() => ({ position: [], quaternion: [], scale: [] }));
+  const times = [];
+  const failed = new Set();
+  const frameCount = Math.max(2, Math.round(seconds * BAKE_FPS) + 1);
+
+  try {
+    for (let frame = 0; frame < frameCount; frame += 1) {
+      const time = frame / BAKE_FPS;
+      const delta = frame === 0 ? 0 : 1 / BAKE_FPS;
+      times.push(time);
+
+      animatedObjects.forEach((object) => {
+        if (failed.has(object)) {
+          return;
+        }
+
+        try {
+          runWithTimeBudget(BAKE_UPDATE_BUDGET_MS, () =>
+            object.userData.update(time, delta, frame)
+          );
+        } catch (error) {
+          console.error(`Baking userData.update failed for "${object.name || "unnamed"}":`, error);
+          failed.add(object);
+        }
+      });
+
+      sources.forEach((object, index) => {
+        samples[index].position.push(...object.position.toArray());
+        samples[index].quaternion.push(...object.quaternion.toArray());
+        samples[index].scale.push(...object.scale.toArray());
+      });
+    }
+  } finally {
+    sources.forEach((object, index) => {
+      object.position.copy(initial[index].position);
+      object.quaternion.copy(initial[index].quaternion);
+      object.scale.copy(initial[index].scale);
+    });
+  }
+
+  const tracks = [];
+  sources.forEach((object, index) => {
+    const target = cloneBySource.get(object).uuid;
+    const { position, quaternion, scale } = samples[index];
+    const isStatic = (values, size) =>
+      values.every((value, valueIndex) => Math.abs(value - values[valueIndex % size]) < 1e-6);
+
+    if (!isStatic(position, 3)) {
+      tracks.push(new THREE.VectorKeyframeTrack(`${target}.position`, times, position));
+    }
+    if (!isStatic(quaternion, 4)) {
+      tracks.push(new THREE.QuaternionKeyframeTrack(`${target}.quaternion`, times, quaternion));
+    }
+    if (!isStatic(scale, 3)) {
+      tracks.push(new THREE.VectorKeyframeTrack(`${target}.scale`, times, scale));
+    }
+  });
+
+  return {
+    clip: tracks.length > 0 ? new THREE.AnimationClip("userData.update", -1, tracks) : null,
+    failed: [...failed]
+  };
+}
+
+function pruneUnusedResources(json) {
+  const geometryIds = new Set();
+  const materialIds = new Set();
+  const visit = (node) => {
+    if (node.geometry) {
+      geometryIds.add(node.geometry);
+    }
+    (Array.isArray(node.material) ? node.material : [node.material]).forEach((id) => {
+      if (id) {
+        materialIds.add(id);
+      }
+    });
+    node.children?.forEach(visit);
+  };
+  visit(json.object);
+
+  if (json.geometries) {
+    json.geometries = json.geometries.filter((geometry) => geometryIds.has(geometry.uuid));
+  }
+  if (json.materials) {
+    json.materials = json.materials.filter((material) => materialIds.has(material.uuid));
+  }
+  return json;
+}
+
+export function createFileName(extension, prefix = "scene") {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
+  return `${prefix}-${stamp}.${extension}`;
+}
+
+export async function exportScene(context, options = {}) {
+  const {
+    format = "glb",
+    includeBaseObjects = false,
+    bakeAnimations = false,
+    bakeSeconds = DEFAULT_BAKE_SECONDS
+  } = options;
+
+  if (!EXPORT_FORMATS.has(format)) {
+    throw new Error(`Unknown export format '${format}'. Use glb, gltf or json.`);
+  }
+
+  const { root, cloneBySource } = createExportRoot(context.scene, includeBaseObjects);
+  const animatedObjects = collectAnimatedObjects(cloneBySource);
+  const warnings = [];
+  const animations = [];
+
+  if (animatedObjects.length > 0 && bakeAnimations) {
+    const seconds = Math.min(MAX_BAKE_SECONDS, Math.max(0.1, Number(bakeSeconds) || 0));
+    const { clip, failed } = bakeUpdateCallbacks(animatedObjects, cloneBySource, seconds);
+    if (clip) {
+      animations.push(clip);
+    }
+    if (failed.length > 0) {
+      warnings.push(`Baking stopped for ${formatObjectNames(failed)} after their update threw.`);
+    }
+    warnings.push(
+      `Baked ${seconds} s of userData.update motion at ${BAKE_FPS} fps. ` +
+        "Only position, rotation and scale are captured."
+    );
+  } else if (animatedObjects.length > 0) {
+    warnings.push(
+      `${formatObjectNames(animatedObjects)} animate with userData.update, ` +
+        "which is not exported. Enable baking to sample the motion into an animation clip."
+    );
+  }
+
+  if (format === "json") {
+    root.animations = animations;
+    const json = pruneUnusedResources(context.serializeScene(root));
+    return {
+      blob: new Blob([JSON.stringify(json)], { type: "application/json" }),
+      fileName: createFileName("json"),
+      warnings
+    };
+  }
+
+  const result = await new GLTFExporter().parseAsync(root, {
+    binary: format === "glb",
+    onlyVisible: false,
+    animations
+  });
+
+  return format === "glb"
+    ? {
+        blob: new Blob([result], { type: "model/gltf-binary" }),
+        fileName: createFileName("glb"),
+        warnings
+      }
+    : {
+        blob: new Blob([JSON.stringify(result)], { type: "model/gltf+json" }),
+        fileName: createFileName("gltf"),
+        warnings
+      };
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
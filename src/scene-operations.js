@@ -0,0 +1,486 @@
+import { executeCode } from "./executor";
+
+const OBJECT_KINDS = new Set([
+  "box",
+  "sphere",
+  "cylinder",
+  "cone",
+  "torus",
+  "plane",
+  "teapot",
+  "group",
+  "ambient_light",
+  "directional_light",
+  "point_light",
+  "spot_light"
+]);
+
+const ANIMATION_TYPES = new Set(["spin", "bob", "orbit", "pulse", "none"]);
+const AXES = new Set(["x", "y", "z"]);
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+const MATERIAL_NUMBER_KEYS = ["emissiveIntensity", "roughness", "metalness", "opacity"];
+
+function fail(operation, message) {
+  throw new Error(`${operation.name}: ${message}`);
+}
+
+function isVector3(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 3 &&
+    value.every((component) => typeof component === "number" && Number.isFinite(component))
+  );
+}
+
+function checkOptional(operation, input, key, predicate, description) {
+  if (input[key] !== undefined && !predicate(input[key])) {
+    fail(operation, `\`${key}\` must be ${description}.`);
+  }
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isBoolean(value) {
+  return typeof value === "boolean";
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function isColor(value) {
+  return isNonEmptyString(value) || (isFiniteNumber(value) && value >= 0);
+}
+
+function validateMaterial(operation, material) {
+  if (material === undefined) {
+    return;
+  }
+
+  if (!material || typeof material !== "object" || Array.isArray(material)) {
+    fail(operation, "`material` must be an object.");
+  }
+
+  checkOptional(operation, material, "color", isColor, "a color");
+  checkOptional(operation, material, "emissive", isColor, "a color");
+  checkOptional(operation, material, "wireframe", isBoolean, "a boolean");
+  MATERIAL_NUMBER_KEYS.forEach((key) => {
+    checkOptional(operation, material, key, isFiniteNumber, "a number");
+  });
+}
+
+function validateTransform(operation, input) {
+  ["position", "rotation", "scale"].forEach((key) => {
+    checkOptional(operation, input, key, isVector3, "an [x, y, z] array of numbers");
+  });
+  ["castShadow", "receiveShadow", "visible"].forEach((key) => {
+    checkOptional(operation, input, key, isBoolean, "a boolean");
+  });
+  checkOptional(operation, input, "color", isColor, "a color");
+  checkOptional(operation, input, "intensity", isFiniteNumber, "a number");
+  validateMaterial(operation, input.material);
+}
+
+const validators = {
+  create_object(operation, input) {
+    if (!isNonEmptyString(input.name)) {
+      fail(operation, "`name` must be a non-empty string.");
+    }
+
+    if (!OBJECT_KINDS.has(input.kind)) {
+      fail(operation, `\`kind\` must be one of ${[...OBJECT_KINDS].join(", ")}.`);
+    }
+
+    if (input.params !== undefined) {
+      const params = input.params;
+      if (!params || typeof params !== "object" || Array.isArray(params)) {
+        fail(operation, "`params` must be an object of numbers.");
+      }
+
+      for (const [key, value] of Object.entries(params)) {
+        if (!isFiniteNumber(value)) {
+          fail(operation, `\`params.${key}\` must be a number.`);
+        }
+      }
+    }
+
+    checkOptional(operation, input, "parent", isNonEmptyString, "an object name");
+    validateTransform(operation, input);
+  },
+  update_object(operation, input) {
+    if (!isNonEmptyString(input.name)) {
+      fail(operation, "`name` must be a non-empty string.");
+    }
+
+    checkOptional(operation, input, "rename", isNonEmptyString, "a non-empty string");
+    validateTransform(operation, input);
+  },
+  remove_object(operation, input) {
+    if (!isNonEmptyString(input.name)) {
+      fail(operation, "`name` must be a non-empty string.");
+    }
+  },
+  set_animation(operation, input) {
+    if (!isNonEmptyString(input.name)) {
+      fail(operation, "`name` must be a non-empty string.");
+    }
+
+    if (!ANIMATION_TYPES.has(input.type)) {
+      fail(operation, `\`type\` must be one of ${[...ANIMATION_TYPES].join(", ")}.`);
+    }
+
+    checkOptional(operation, input, "axis", (value) => AXES.has(value), "x, y or z");
+    ["speed", "amplitude", "radius"].forEach((key) => {
+      checkOptional(operation, input, key, isFiniteNumber, "a number");
+    });
+    checkOptional(operation, input, "center", isVector3, "an [x, y, z] array of numbers");
+  },
+  set_camera(operation, input) {
+    checkOptional(operation, input, "position", isVector3, "an [x, y, z] array of numbers");
+    checkOptional(operation, input, "target", isVector3, "an [x, y, z] array of numbers");
+    checkOptional(
+      operation,
+      input,
+      "fov",
+      (value) => isFiniteNumber(value) && value > 0 && value < 180,
+      "a number between 0 and 180"
+    );
+  },
+  run_code(operation, input) {
+    if (!isNonEmptyString(input.code)) {
+      fail(operation, "`code` must be a non-empty string.");
+    }
+  }
+};
+
+export function validateSceneOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error("No scene operations were provided.");
+  }
+
+  operations.forEach((operation) => {
+    const validator = validators[operation?.name];
+    if (!validator) {
+      throw new Error(`Unknown scene operation '${operation?.name}'.`);
+    }
+
+    const { input } = operation;
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+      fail(operation, "arguments must be a JSON object.");
+    }
+
+    validator(operation, input);
+  });
+}
+
+function createGeometry(THREE, kind, params) {
+  switch (kind) {
+    case "box":
+      return new THREE.BoxGeometry(params.width ?? 1, params.height ?? 1, params.depth ?? 1);
+    case "sphere":
+      return new THREE.SphereGeometry(
+        params.radius ?? 0.5,
+        params.widthSegments ?? 32,
+        params.heightSegments ?? 16
+      );
+    case "cylinder":
+      return new THREE.CylinderGeometry(
+        params.radiusTop ?? params.radius ?? 0.5,
+        params.radiusBottom ?? params.radius ?? 0.5,
+        params.height ?? 1,
+        params.radialSegments ?? 32
+      );
+    case "cone":
+      return new THREE.ConeGeometry(
+        params.radius ?? 0.5,
+        params.height ?? 1,
+        params.radialSegments ?? 32
+      );
+    case "torus":
+      return new THREE.TorusGeometry(
+        params.radius ?? 0.5,
+        params.tube ?? 0.15,
+        params.radialSegments ?? 16,
+        params.tubularSegments ?? 64
+      );
+    case "plane":
+      return new THREE.PlaneGeometry(params.width ?? 1, params.height ?? 1);
+    case "teapot":
+      return new THREE.TeapotGeometry(params.size ?? 0.5);
+    default:
+      return null;
+  }
+}
+
+function createLight(THREE, kind, input) {
+  const params = input.params || {};
+  const color = input.color ?? 0xffffff;
+
+  switch (kind) {
+    case "ambient_light":
+      return new THREE.AmbientLight(color, input.intensity ?? 0.5);
+    case "directional_light":
+      return new THREE.DirectionalLight(color, input.intensity ?? 1);
+    case "point_light":
+      return new THREE.PointLight(color, input.intensity ?? 1, params.distance ?? 0);
+    case "spot_light":
+      return new THREE.SpotLight(
+        color,
+        input.intensity ?? 1,
+        params.distance ?? 0,
+        params.angle ?? Math.PI / 6
+      );
+    default:
+      return null;
+  }
+}
+
+function applyMaterial(object, input) {
+  if (!object.material || Array.isArray(object.material)) {
+    return;
+  }
+
+  const material = input.material || {};
+  const color = material.color ?? input.color;
+  if (color !== undefined && object.material.color) {
+    object.material.color.set(color);
+  }
+
+  if (material.emissive !== undefined && object.material.emissive) {
+    object.material.emissive.set(material.emissive);
+  }
+
+  MATERIAL_NUMBER_KEYS.forEach((key) => {
+    if (material[key] !== undefined && key in object.material) {
+      object.material[key] = material[key];
+    }
+  });
+
+  if (material.opacity !== undefined) {
+    object.material.transparent = material.opacity < 1;
+  }
+
+  if (material.wireframe !== undefined) {
+    object.material.wireframe = material.wireframe;
+  }
+
+  object.material.needsUpdate = true;
+}
+
+function applyObjectProperties(object, input) {
+  if (input.position) {
+    object.position.fromArray(input.position);
+  }
+
+  if (input.rotation) {
+    object.rotation.set(input.rotation[0], input.rotation[1], input.rotation[2]);
+  }
+
+  if (input.scale) {
+    object.scale.fromArray(input.scale);
+  }
+
+  if (input.visible !== undefined) {
+    object.visible = input.visible;
+  }
+
+  if (input.castShadow !== undefined) {
+    object.castShadow = input.castShadow;
+  }
+
+  if (input.receiveShadow !== undefined) {
+    object.receiveShadow = input.receiveShadow;
+  }
+
+  if (object.isLight) {
+    if (input.color !== undefined) {
+      object.color.set(input.color);
+    }
+
+    if (input.intensity !== undefined) {
+      object.intensity = input.intensity;
+    }
+  } else {
+    applyMaterial(object, input);
+  }
+}
+
+function requireObject(context, operation, name) {
+  const object = context.scene.getObjectByName(name);
+  if (!object) {
+    fail(operation, `no object named '${name}' exists in the scene.`);
+  }
+
+  return object;
+}
+
+function disposeObject(object) {
+  object.traverse((node) => {
+    node.geometry?.dispose?.();
+    const materials = Array.isArray(node.material) ? node.material : [node.material];
+    materials.forEach((material) => material?.dispose?.());
+  });
+}
+
+const sceneAnimationCallbacks = new WeakSet();
+
+function createAnimationUpdate(object, animation) {
+  const axis = animation.axis || "y";
+  const speed = animation.speed ?? 1;
+  const base = animation.base;
+
+  if (animation.type === "spin") {
+    const baseRotation = base.rotation[AXIS_INDEX[axis]];
+    return (time) => {
+      object.rotation[axis] = baseRotation + time * speed;
+    };
+  }
+
+  if (animation.type === "bob") {
+    const amplitude = animation.amplitude ?? 0.25;
+    const basePosition = base.position[AXIS_INDEX[axis]];
+    return (time) => {
+      object.position[axis] = basePosition + Math.sin(time * speed) * amplitude;
+    };
+  }
+
+  if (animation.type === "orbit") {
+    const center = animation.center || [0, base.position[1], 0];
+    const radius =
+      animation.radius ?? Math.hypot(base.position[0] - center[0], base.position[2] - center[2]);
+    return (time) => {
+      object.position.set(
+        center[0] + Math.cos(time * speed) * radius,
+        center[1],
+        center[2] + Math.sin(time * speed) * radius
+      );
+    };
+  }
+
+  const amplitude = animation.amplitude ?? 0.1;
+  return (time) => {
+    object.scale.fromArray(base.scale).multiplyScalar(1 + Math.sin(time * speed) * amplitude);
+  };
+}
+
+// Rebuilds the callback for an object whose `userData.animation` came from set_animation,
+// e.g. after the object was restored from a serialized snapshot.
+export function bindSceneAnimation(object) {
+  const update = createAnimationUpdate(object, object.userData.animation);
+  sceneAnimationCallbacks.add(update);
+  return update;
+}
+
+export function isSceneAnimation(callback) {
+  return sceneAnimationCallbacks.has(callback);
+}
+
+const appliers = {
+  create_object(context, operation, input) {
+    const { THREE, scene } = context;
+    const parent = input.parent ? requireObject(context, operation, input.parent) : scene;
+
+    const existing = scene.getObjectByName(input.name);
+    if (existing) {
+      existing.parent?.remove(existing);
+      disposeObject(existing);
+    }
+
+    let object = createLight(THREE, input.kind, input);
+    if (!object && input.kind === "group") {
+      object = new THREE.Group();
+    }
+
+    if (!object) {
+      object = new THREE.Mesh(
+        createGeometry(THREE, input.kind, input.params || {}),
+        new THREE.MeshStandardMaterial({ color: 0xffffff })
+      );
+      object.castShadow = true;
+    }
+
+    object.name = input.name;
+    applyObjectProperties(object, input);
+    parent.add(object);
+  },
+  update_object(context, operation, input) {
+    const object = requireObject(context, operation, input.name);
+    applyObjectProperties(object, input);
+    if (input.rename) {
+      object.name = input.rename;
+    }
+  },
+  remove_object(context, operation, input) {
+    const object = requireObject(context, operation, input.name);
+    object.parent?.remove(object);
+    disposeObject(object);
+  },
+  set_animation(context, operation, input) {
+    const object = requireObject(context, operation, input.name);
+    if (input.type === "none") {
+      delete object.userData.update;
+      delete object.userData.animation;
+      return;
+    }
+
+    object.userData.animation = {
+      ...input,
+      base: {
+        position: object.position.toArray(),
+        rotation: [object.rotation.x, object.rotation.y, object.rotation.z],
+        scale: object.scale.toArray()
+      }
+    };
+    object.userData.update = bindSceneAnimation(object);
+  },
+  set_camera(context, _operation, input) {
+    const { camera, controls } = context;
+    if (input.position) {
+      camera.position.fromArray(input.position);
+    }
+
+    if (input.fov !== undefined) {
+      camera.fov = input.fov;
+      camera.updateProjectionMatrix();
+    }
+
+    if (input.target) {
+      controls.target.fromArray(input.target);
+    }
+
+    camera.lookAt(controls.target);
+    controls.update();
+  },
+  run_code(context, _operation, input, executionOptions) {
+    return executeCode(input.code, context, executionOptions);
+  }
+};
+
+export async function applySceneOperations(operations, context, executionOptions) {
+  validateSceneOperations(operations);
+  for (const operation of operations) {
+    await appliers[operation.name](context, operation, operation.input, executionOptions);
+  }
+}
+
+export function describeSceneOperation(operation) {
+  const input = operation?.input || {};
+  switch (operation?.name) {
+    case "create_object":
+      return `create ${input.kind} '${input.name}'`;
+    case "update_object":
+      return `update '${input.name}'${input.rename ? ` → '${input.rename}'` : ""}`;
+    case "remove_object":
+      return `remove '${input.name}'`;
+    case "set_animation":
+      return `animate '${input.name}' (${input.type})`;
+    case "set_camera":
+      return "move camera";
+    case "run_code":
+      return "run code";
+    default:
+      return String(operation?.name || "unknown operation");
+  }
+}
@@ -0,0 +1,73 @@
+import { BASE_OBJECT_NAMES } from "./scene";
+
+const MAX_SUMMARY_OBJECTS = 150;
+
+function roundVector(values) {
+  return values.map((value) => Math.round(value * 1000) / 1000);
+}
+
+function getMaterialColor(material) {
+  const materials = Array.isArray(material) ? material : [material];
+  const colored = materials.find((entry) => entry?.color?.isColor);
+  return colored ? `#${colored.color.getHexString()}` : null;
+}
+
+export function summarizeObject(object) {
+  const summary = {
+    name: object.name || "",
+    type: object.type,
+    position: roundVector(object.position.toArray()),
+    rotation: roundVector([object.rotation.x, object.rotation.y, object.rotation.z]),
+    scale: roundVector(object.scale.toArray()),
+    visible: object.visible,
+    animated: typeof object.userData?.update === "function"
+  };
+
+  if (object.parent && !object.parent.isScene) {
+    summary.parent = object.parent.name || object.parent.type;
+  }
+
+  if (object.geometry?.type) {
+    summary.geometry = object.geometry.type;
+  }
+
+  const physics = object.userData?.physics;
+  if (physics?.shape) {
+    summary.physics =
+      physics.mass > 0 ? `${physics.shape}, mass ${physics.mass}` : `static ${physics.shape}`;
+  }
+
+  if (object.isLight) {
+    summary.color = `#${object.color.getHexString()}`;
+    summary.intensity = Math.round(object.intensity * 1000) / 1000;
+  } else if (object.material) {
+    const color = getMaterialColor(object.material);
+    if (color) {
+      summary.color = color;
+    }
+  }
+
+  return summary;
+}
+
+export function summarizeScene(scene, { maxObjects = MAX_SUMMARY_OBJECTS } = {}) {
+  const objects = [];
+  let objectCount = 0;
+
+  const visit = (object) => {
+    if (BASE_OBJECT_NAMES.has(object.name) && object.parent === scene) {
+      return;
+    }
+
+    objectCount += 1;
+    if (objects.length < maxObjects) {
+      objects.push(summarizeObject(object));
+    }
+
+    object.children.forEach(visit);
+  };
+
+  scene.children.forEach(visit);
+
+  return { objectCount, objects };
+}
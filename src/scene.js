@@ -1,6 +1,29 @@
 import * as THREE from "three";
+import helvetikerFontUrl from "three/examples/fonts/helvetiker_regular.typeface.json?url";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { RoundedBoxGeometry } from "three/examples/jsm/geometries/RoundedBoxGeometry.js";
 import { TeapotGeometry } from "three/examples/jsm/geometries/TeapotGeometry.js";
+import { TextGeometry } from "three/examples/jsm/geometries/TextGeometry.js";
+import { FontLoader } from "three/examples/jsm/loaders/FontLoader.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { HDRLoader } from "three/examples/jsm/loaders/HDRLoader.js";
+import * as BufferGeometryUtils from "three/examples/jsm/utils/BufferGeometryUtils.js";
+
+import { runWithTimeBudget } from "./executor";
+import { createPhysics } from "./physics";
+
+const UPDATE_BUDGET_MS = 20;
+const MAX_UPDATE_OVERRUNS = 30;
+const FRAME_STEP_SECONDS = 1 / 60;
+// Caps the time step after the tab was hidden, so scene time does not jump ahead.
+const MAX_FRAME_DELTA_SECONDS = 0.1;
+
+export const BASE_OBJECT_NAMES = new Set([
+  "worldAmbientLight",
+  "worldDirectionalLight",
+  "worldGrid",
+  "groundPlane"
+]);
 
 function disposeMaterial(material) {
   if (Array.isArray(material)) {
@@ -25,6 +48,14 @@ function disposeObjectTree(root) {
   });
 }
 
+function isCoreGeometryType(type) {
+  return (
+    type === "BufferGeometry" ||
+    type === "InstancedBufferGeometry" ||
+    typeof THREE[type]?.fromJSON === "function"
+  );
+}
+
 function addBaseSceneObjects(scene, runtimeTHREE) {
   const ambientLight = new runtimeTHREE.AmbientLight(0xffffff, 0.5);
   ambientLight.name = "worldAmbientLight";
@@ -52,18 +83,31 @@ function addBaseSceneObjects(scene, runtimeTHREE) {
   ground.position.y = -0.001;
   ground.receiveShadow = true;
   ground.name = "groundPlane";
+  ground.userData.physics = { shape: "plane", mass: 0 };
   scene.add(ground);
 }
 
-export function createScene(container) {
+export function createScene(container, { assets = null, onUpdateError } = {}) {
   const runtimeTHREE = {
     ...THREE,
-    TeapotGeometry
+    TeapotGeometry,
+    RoundedBoxGeometry,
+    TextGeometry,
+    FontLoader,
+    GLTFLoader,
+    HDRLoader,
+    RGBELoader: HDRLoader,
+    BufferGeometryUtils,
+    DEFAULT_FONT_URL: helvetikerFontUrl
   };
 
   const scene = new runtimeTHREE.Scene();
   scene.background = new runtimeTHREE.Color(0x020617);
 
+  // Editor helpers such as selection boxes live in a separate scene, so they never end up in
+  // snapshots, exports, screenshots or the summary sent to the model.
+  const overlay = new runtimeTHREE.Scene();
+
   const camera = new runtimeTHREE.PerspectiveCamera(60, 1, 0.1, 1000);
   camera.position.set(5, 4, 5);
 
@@ -82,6 +126,8 @@ export function createScene(container) {
   controls.update();
 
   addBaseSceneObjects(scene, runtimeTHREE);
+  const physics = createPhysics(scene);
+  physics.rebuild();
 
   const updateSize = () => {
     const width = container.clientWidth || 1;
@@ -97,6 +143,9 @@ export function createScene(container) {
   resizeObserver.observe(container);
 
   const clock = new runtimeTHREE.Clock();
+  const updateOverruns = new WeakMap();
+  // Scene time is decoupled from wall-clock time so playback can be paused, slowed and scrubbed.
+  const timeline = { time: 0, frame: 0, speed: 1, playing: true, screenshotTime: null };
   let animationHandle = 0;
   let disposed = false;
 
@@ -151,43 +200,193 @@ export function createScene(container) {
     controls.saveState();
   }
 
-  function resetSceneToBase() {
+  function clearScene() {
+    physics.reset();
     for (const child of [...scene.children]) {
       scene.remove(child);
       disposeObjectTree(child);
     }
 
+    scene.overrideMaterial = null;
+  }
+
+  function resetSceneToBase() {
+    clearScene();
     scene.background = new runtimeTHREE.Color(0x020617);
     scene.environment = null;
     scene.fog = null;
-    scene.overrideMaterial = null;
     scene.backgroundBlurriness = 0;
     scene.backgroundIntensity = 1;
+    scene.userData = {};
 
     addBaseSceneObjects(scene, runtimeTHREE);
+    physics.rebuild();
   }
 
-  const frame = () => {
-    if (disposed) {
-      return;
+  function serializeScene(root = scene) {
+    if (root === scene) {
+      physics.persist();
+    }
+    // toJSON stores local matrices, which are otherwise only refreshed when a frame renders.
+    root.updateMatrixWorld(true);
+    const json = root.toJSON();
+    if (!json.geometries) {
+      return json;
     }
 
-    const time = clock.getElapsedTime();
+    // ObjectLoader only rebuilds core geometry types, so addon geometries such as
+    // TeapotGeometry are stored as plain buffers.
+    const geometries = new Map();
+    root.traverse((node) => {
+      if (node.geometry) {
+        geometries.set(node.geometry.uuid, node.geometry);
+      }
+    });
+
+    json.geometries = json.geometries.map((data) => {
+      const geometry = geometries.get(data.uuid);
+      if (isCoreGeometryType(data.type) || !geometry) {
+        return data;
+      }
+
+      const bufferData = new runtimeTHREE.BufferGeometry().copy(geometry).toJSON();
+      bufferData.uuid = data.uuid;
+      return bufferData;
+    });
+
+    return json;
+  }
+
+  async function restoreSerializedScene(json) {
+    const restoredScene = await new runtimeTHREE.ObjectLoader().parseAsync(json);
+    clearScene();
+
+    scene.background = restoredScene.background;
+    scene.environment = restoredScene.environment;
+    scene.fog = restoredScene.fog;
+    scene.backgroundBlurriness = restoredScene.backgroundBlurriness;
+    scene.backgroundIntensity = restoredScene.backgroundIntensity;
+    scene.backgroundRotation.copy(restoredScene.backgroundRotation);
+    scene.environmentIntensity = restoredScene.environmentIntensity;
+    scene.environmentRotation.copy(restoredScene.environmentRotation);
+    scene.userData = restoredScene.userData;
+
+    for (const child of [...restoredScene.children]) {
+      scene.add(child);
+    }
+    physics.rebuild();
+  }
+
+  function runUpdateCallbacks(time, delta, frameCount) {
     scene.traverse((object) => {
       if (typeof object.userData?.update !== "function") {
         return;
       }
 
+      const objectName = object.name || "unnamed";
+      const { update } = object.userData;
+      const startedAt = performance.now();
       try {
-        object.userData.update(time);
+        runWithTimeBudget(UPDATE_BUDGET_MS, () =>
+          update.call(object.userData, time, delta, frameCount)
+        );
       } catch (error) {
-        console.error(`userData.update failed for "${object.name || "unnamed"}":`, error);
+        console.error(`userData.update failed for "${objectName}":`, error);
+        delete object.userData.update;
+        onUpdateError?.(object, error, update);
+        return;
+      }
+
+      if (performance.now() - startedAt <= UPDATE_BUDGET_MS) {
+        updateOverruns.delete(object);
+        return;
+      }
+
+      const overruns = (updateOverruns.get(object) || 0) + 1;
+      updateOverruns.set(object, overruns);
+      if (overruns >= MAX_UPDATE_OVERRUNS) {
+        updateOverruns.delete(object);
         delete object.userData.update;
+        onUpdateError?.(
+          object,
+          new Error(
+            `Exceeded the ${UPDATE_BUDGET_MS} ms frame budget for ${MAX_UPDATE_OVERRUNS} consecutive frames.`
+          ),
+          update
+        );
       }
     });
+  }
+
+  function advanceTime(delta) {
+    timeline.time += delta;
+    timeline.frame += 1;
+    physics.step(delta);
+    runUpdateCallbacks(timeline.time, delta, timeline.frame);
+  }
+
+  // Seeking and evaluating pass a delta of 0: callbacks written against `time` land exactly on
+  // the requested moment, while callbacks that integrate `delta` hold still.
+  function evaluateAt(time, callback) {
+    runUpdateCallbacks(time, 0, timeline.frame);
+    try {
+      return callback();
+    } finally {
+      runUpdateCallbacks(timeline.time, 0, timeline.frame);
+    }
+  }
+
+  const playback = {
+    getState: () => ({ ...timeline }),
+    setPlaying(playing) {
+      timeline.playing = Boolean(playing);
+    },
+    setSpeed(speed) {
+      if (!Number.isFinite(speed) || speed <= 0) {
+        throw new Error(`Playback speed must be a positive number, got ${speed}.`);
+      }
+      timeline.speed = speed;
+    },
+    step(delta = FRAME_STEP_SECONDS) {
+      timeline.playing = false;
+      advanceTime(delta);
+    },
+    seek(time) {
+      timeline.time = Math.max(0, Number(time) || 0);
+      runUpdateCallbacks(timeline.time, 0, timeline.frame);
+    },
+    setScreenshotTime(time) {
+      timeline.screenshotTime = time === null ? null : Math.max(0, Number(time) || 0);
+    }
+  };
+
+  // Renders the main scene for a screenshot, at the pinned screenshot time when one is set.
+  function renderCapture() {
+    const render = () => renderer.render(scene, camera);
+    if (timeline.screenshotTime === null) {
+      render();
+    } else {
+      evaluateAt(timeline.screenshotTime, render);
+    }
+  }
+
+  const frame = () => {
+    if (disposed) {
+      return;
+    }
+
+    const delta = Math.min(clock.getDelta(), MAX_FRAME_DELTA_SECONDS);
+    if (timeline.playing) {
+      advanceTime(delta * timeline.speed);
+    }
 
     controls.update();
     renderer.render(scene, camera);
+    if (overlay.children.length > 0) {
+      renderer.autoClear = false;
+      renderer.render(overlay, camera);
+      renderer.autoClear = true;
+    }
     animationHandle = requestAnimationFrame(frame);
   };
 
@@ -195,12 +394,20 @@ export function createScene(container) {
 
   return {
     scene,
+    overlay,
     camera,
     renderer,
+    controls,
     THREE: runtimeTHREE,
+    assets,
+    physics: physics.api,
+    playback,
+    renderCapture,
     captureViewState,
     restoreViewState,
     resetSceneToBase,
+    serializeScene,
+    restoreSerializedScene,
     dispose() {
       disposed = true;
       cancelAnimationFrame(animationHandle);
@@ -0,0 +1,214 @@
+import { BASE_OBJECT_NAMES } from "./scene";
+import { summarizeObject } from "./scene-summary";
+
+const CLICK_MOVE_TOLERANCE_PX = 4;
+const HIGHLIGHT_COLOR = 0x22d3ee;
+
+function isInScene(object, scene) {
+  for (let node = object; node; node = node.parent) {
+    if (node === scene) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function isVisibleInScene(object, scene) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) {
+      return false;
+    }
+    if (node === scene) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function getTopLevelObject(object, scene) {
+  let node = object;
+  while (node.parent && node.parent !== scene) {
+    node = node.parent;
+  }
+
+  return node;
+}
+
+// Child-index path from the scene root. Replays rebuild the same hierarchy, so generated code can
+// use it to reach unnamed objects.
+export function getObjectPath(object, scene) {
+  const indices = [];
+  for (let node = object; node.parent; node = node.parent) {
+    indices.unshift(node.parent.children.indexOf(node));
+    if (node.parent === scene) {
+      return `scene${indices.map((index) => `.children[${index}]`).join("")}`;
+    }
+  }
+
+  return "";
+}
+
+// Expression that finds the object in replayed code: by name when the name leads back to this
+// object, otherwise by child-index path.
+export function getObjectReference(object, scene) {
+  return object.name && scene.getObjectByName(object.name) === object
+    ? `scene.getObjectByName(${JSON.stringify(object.name)})`
+    : getObjectPath(object, scene);
+}
+
+export function createSelection(sceneContext, { onChange, isPointerCaptured = () => false }) {
+  const { scene, overlay, camera, renderer, THREE } = sceneContext;
+  const canvas = renderer.domElement;
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const selected = [];
+  let pointerDown = null;
+
+  function createHighlight(object) {
+    const helper = new THREE.BoxHelper(object, HIGHLIGHT_COLOR);
+    helper.material.depthTest = false;
+    helper.material.transparent = true;
+    helper.renderOrder = 1;
+    overlay.add(helper);
+    return helper;
+  }
+
+  function disposeHighlight(helper) {
+    overlay.remove(helper);
+    helper.geometry.dispose();
+    helper.material.dispose();
+  }
+
+  function removeEntry(entry) {
+    disposeHighlight(entry.helper);
+    selected.splice(selected.indexOf(entry), 1);
+  }
+
+  function notify() {
+    onChange(selected.map((entry) => entry.object));
+  }
+
+  function select(object, { additive = false } = {}) {
+    const existing = selected.find((entry) => entry.object === object);
+    if (additive && existing) {
+      removeEntry(existing);
+      notify();
+      return;
+    }
+
+    if (!additive) {
+      [...selected].forEach(removeEntry);
+    }
+    selected.push({ object, helper: createHighlight(object) });
+    notify();
+  }
+
+  function clear() {
+    if (selected.length === 0) {
+      return;
+    }
+
+    [...selected].forEach(removeEntry);
+    notify();
+  }
+
+  function deselect(object) {
+    const entry = selected.find((candidate) => candidate.object === object);
+    if (entry) {
+      removeEntry(entry);
+      notify();
+    }
+  }
+
+  function pick(event) {
+    const bounds = canvas.getBoundingClientRect();
+    pointer.set(
+      ((event.clientX - bounds.left) / bounds.width) * 2 - 1,
+      -((event.clientY - bounds.top) / bounds.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+
+    const pickable = scene.children.filter((child) => !BASE_OBJECT_NAMES.has(child.name));
+    const hit = raycaster
+      .intersectObjects(pickable, true)
+      .find(({ object }) => isVisibleInScene(object, scene));
+    if (!hit) {
+      return null;
+    }
+
+    // Alt-click picks the exact mesh; a plain click picks the whole top-level object.
+    return event.altKey ? hit.object : getTopLevelObject(hit.object, scene);
+  }
+
+  // Reverts and replays replace scene objects, so selections follow them by name. Objects that
+  // left the scene and cannot be found again are dropped.
+  function syncWithScene() {
+    let changed = false;
+    [...selected].forEach((entry) => {
+      if (isInScene(entry.object, scene)) {
+        return;
+      }
+
+      const replacement = entry.object.name ? scene.getObjectByName(entry.object.name) : null;
+      if (replacement && !selected.some((candidate) => candidate.object === replacement)) {
+        disposeHighlight(entry.helper);
+        entry.object = replacement;
+        entry.helper = createHighlight(replacement);
+      } else {
+        removeEntry(entry);
+      }
+      changed = true;
+    });
+
+    if (changed) {
+      notify();
+    }
+  }
+
+  overlay.onBeforeRender = () => {
+    syncWithScene();
+    selected.forEach((entry) => entry.helper.update());
+  };
+
+  canvas.addEventListener("pointerdown", (event) => {
+    // Presses that grab the transform gizmo must not change the selection.
+    pointerDown =
+      event.button === 0 && !isPointerCaptured() ? { x: event.clientX, y: event.clientY } : null;
+  });
+
+  canvas.addEventListener("pointerup", (event) => {
+    if (!pointerDown || event.button !== 0) {
+      return;
+    }
+
+    const moved = Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y);
+    pointerDown = null;
+    if (moved > CLICK_MOVE_TOLERANCE_PX) {
+      return;
+    }
+
+    const object = pick(event);
+    if (object) {
+      select(object, { additive: event.shiftKey });
+    } else if (!event.shiftKey) {
+      clear();
+    }
+  });
+
+  return {
+    getSelected() {
+      return selected.map((entry) => entry.object);
+    },
+    describe() {
+      return selected.map(({ object }) => ({
+        ...summarizeObject(object),
+        path: getObjectPath(object, scene)
+      }));
+    },
+    select,
+    deselect,
+    clear
+  };
+}
@@ -0,0 +1,79 @@
+export function createSessionPicker({ onSelect, onCreate, onRename, onDuplicate, onDelete }) {
+  const selectEl = document.getElementById("session-select");
+  const createButton = document.getElementById("session-new");
+  const renameButton = document.getElementById("session-rename");
+  const duplicateButton = document.getElementById("session-duplicate");
+  const deleteButton = document.getElementById("session-delete");
+
+  let sessions = [];
+  let activeId = "";
+
+  function getActiveSession() {
+    return sessions.find((session) => session.id === activeId) || null;
+  }
+
+  function setSessions(nextSessions, nextActiveId) {
+    sessions = nextSessions;
+    activeId = nextActiveId;
+
+    selectEl.innerHTML = "";
+    sessions.forEach((session) => {
+      const option = document.createElement("option");
+      option.value = session.id;
+      option.textContent = session.name;
+      selectEl.appendChild(option);
+    });
+
+    selectEl.value = activeId;
+  }
+
+  function setDisabled(disabled) {
+    [selectEl, createButton, renameButton, duplicateButton, deleteButton].forEach((element) => {
+      element.disabled = disabled;
+    });
+  }
+
+  selectEl.addEventListener("change", () => {
+    const nextId = selectEl.value;
+    // Keep showing the current session until the switch succeeds.
+    selectEl.value = activeId;
+    if (nextId && nextId !== activeId) {
+      onSelect(nextId);
+    }
+  });
+
+  createButton.addEventListener("click", () => {
+    onCreate();
+  });
+
+  renameButton.addEventListener("click", () => {
+    const session = getActiveSession();
+    if (!session) {
+      return;
+    }
+
+    const name = window.prompt("Session name:", session.name);
+    if (name !== null && name.trim()) {
+      onRename(session.id, name.trim());
+    }
+  });
+
+  duplicateButton.addEventListener("click", () => {
+    const session = getActiveSession();
+    if (session) {
+      onDuplicate(session.id);
+    }
+  });
+
+  deleteButton.addEventListener("click", () => {
+    const session = getActiveSession();
+    if (session && window.confirm(`Delete session "${session.name}"? This cannot be undone.`)) {
+      onDelete(session.id);
+    }
+  });
+
+  return {
+    setSessions,
+    setDisabled
+  };
+}
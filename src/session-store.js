@@ -0,0 +1,133 @@
+const DB_NAME = "threejs-llm-playground";
+const DB_VERSION = 1;
+const SESSION_STORE = "sessions";
+const SESSION_DATA_STORE = "sessionData";
+const ACTIVE_SESSION_STORAGE_KEY = "threejs-llm-playground.active-session.v1";
+
+let databasePromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error("IndexedDB request failed."));
+  });
+}
+
+function openDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    // Metadata is kept apart from state payloads so listing sessions never loads thumbnails.
+    if (!database.objectStoreNames.contains(SESSION_STORE)) {
+      database.createObjectStore(SESSION_STORE, { keyPath: "id" });
+    }
+    if (!database.objectStoreNames.contains(SESSION_DATA_STORE)) {
+      database.createObjectStore(SESSION_DATA_STORE, { keyPath: "id" });
+    }
+  };
+
+  databasePromise = requestToPromise(request).catch((error) => {
+    databasePromise = null;
+    throw error;
+  });
+  return databasePromise;
+}
+
+async function runTransaction(storeNames, mode, callback) {
+  const database = await openDatabase();
+  const transaction = database.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error || new Error("IndexedDB write failed."));
+    transaction.onabort = () => reject(transaction.error || new Error("IndexedDB write aborted."));
+  });
+
+  const result = await callback(transaction);
+  await done;
+  return result;
+}
+
+export function createSessionId() {
+  return typeof crypto !== "undefined" && typeof crypto.randomUUID === "function"
+    ? crypto.randomUUID()
+    : `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export async function listSessions() {
+  const sessions = await runTransaction([SESSION_STORE], "readonly", (transaction) =>
+    requestToPromise(transaction.objectStore(SESSION_STORE).getAll())
+  );
+
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function loadSession(id) {
+  const [meta, data] = await runTransaction(
+    [SESSION_STORE, SESSION_DATA_STORE],
+    "readonly",
+    (transaction) =>
+      Promise.all([
+        requestToPromise(transaction.objectStore(SESSION_STORE).get(id)),
+        requestToPromise(transaction.objectStore(SESSION_DATA_STORE).get(id))
+      ])
+  );
+
+  if (!meta || !data) {
+    throw new Error(`Session '${id}' was not found.`);
+  }
+
+  return { ...data, ...meta };
+}
+
+export async function saveSession({ id, name, createdAt, ...data }) {
+  const meta = { id, name, createdAt, updatedAt: Date.now() };
+  await runTransaction([SESSION_STORE, SESSION_DATA_STORE], "readwrite", (transaction) => {
+    transaction.objectStore(SESSION_STORE).put(meta);
+    transaction.objectStore(SESSION_DATA_STORE).put({ ...data, id });
+  });
+
+  return meta;
+}
+
+export async function renameSession(id, name) {
+  await runTransaction([SESSION_STORE], "readwrite", async (transaction) => {
+    const store = transaction.objectStore(SESSION_STORE);
+    const meta = await requestToPromise(store.get(id));
+    if (!meta) {
+      throw new Error(`Session '${id}' was not found.`);
+    }
+
+    store.put({ ...meta, name, updatedAt: Date.now() });
+  });
+}
+
+export async function deleteSession(id) {
+  await runTransaction([SESSION_STORE, SESSION_DATA_STORE], "readwrite", (transaction) => {
+    transaction.objectStore(SESSION_STORE).delete(id);
+    transaction.objectStore(SESSION_DATA_STORE).delete(id);
+  });
+}
+
+export function getLastSessionId() {
+  try {
+    return window.localStorage.getItem(ACTIVE_SESSION_STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+export function setLastSessionId(id) {
+  try {
+    window.localStorage.setItem(ACTIVE_SESSION_STORAGE_KEY, id);
+  } catch {
+    // Ignore storage write failures; the most recently updated session is used instead.
+  }
+}
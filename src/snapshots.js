@@ -0,0 +1,142 @@
+import { bindCallbackSource, getFunctionSource } from "./executor";
+import { bindSceneAnimation, isSceneAnimation } from "./scene-operations";
+
+const DEFAULT_SNAPSHOT_INTERVAL = 1;
+const DEFAULT_SNAPSHOT_MEMORY_MB = 64;
+
+function readEnvNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(number) && number >= 0
+    ? number
+    : fallback;
+}
+
+function hasOwnRenderHook(object) {
+  return (
+    Object.hasOwn(object, "onBeforeRender") ||
+    Object.hasOwn(object, "onAfterRender") ||
+    (Array.isArray(object.material) ? object.material : [object.material]).some(
+      (material) => material && Object.hasOwn(material, "onBeforeCompile")
+    )
+  );
+}
+
+// Throws when the scene holds callbacks that cannot be rebuilt after deserialization.
+function serializeSnapshot(sceneContext) {
+  const callbacks = [];
+  sceneContext.scene.traverse((object) => {
+    if (hasOwnRenderHook(object)) {
+      throw new Error(`"${object.name || "unnamed"}" has a render hook.`);
+    }
+
+    const update = object.userData?.update;
+    if (typeof update !== "function") {
+      return;
+    }
+
+    if (isSceneAnimation(update)) {
+      callbacks.push({ uuid: object.uuid, animation: true });
+      return;
+    }
+
+    const source = getFunctionSource(update);
+    bindCallbackSource(source, sceneContext);
+    callbacks.push({ uuid: object.uuid, source });
+  });
+
+  const json = JSON.stringify(sceneContext.serializeScene());
+  return { json, callbacks, bytes: json.length * 2 };
+}
+
+export function createSnapshotStore(sceneContext, options = {}) {
+  const interval = Math.floor(
+    options.interval ??
+      readEnvNumber(import.meta.env.VITE_SNAPSHOT_INTERVAL, DEFAULT_SNAPSHOT_INTERVAL)
+  );
+  const maxBytes =
+    options.maxBytes ??
+    readEnvNumber(import.meta.env.VITE_SNAPSHOT_MEMORY_MB, DEFAULT_SNAPSHOT_MEMORY_MB) *
+      1024 *
+      1024;
+
+  // Insertion order doubles as recency, so eviction drops the least recently used snapshot.
+  const snapshots = new Map();
+  let totalBytes = 0;
+
+  function remove(stateIndex) {
+    const snapshot = snapshots.get(stateIndex);
+    if (snapshot) {
+      snapshots.delete(stateIndex);
+      totalBytes -= snapshot.bytes;
+    }
+  }
+
+  function add(stateIndex, snapshot) {
+    if (snapshot.bytes > maxBytes) {
+      return false;
+    }
+
+    remove(stateIndex);
+    snapshots.set(stateIndex, snapshot);
+    totalBytes += snapshot.bytes;
+
+    for (const oldestIndex of snapshots.keys()) {
+      if (totalBytes <= maxBytes) {
+        break;
+      }
+      remove(oldestIndex);
+    }
+
+    return true;
+  }
+
+  function capture(stateIndex, depth) {
+    if (interval < 1 || depth % interval !== 0) {
+      return false;
+    }
+
+    try {
+      return add(stateIndex, serializeSnapshot(sceneContext));
+    } catch {
+      // States whose callbacks cannot be rebound are restored by replay instead.
+      return false;
+    }
+  }
+
+  function clear() {
+    snapshots.clear();
+    totalBytes = 0;
+  }
+
+  async function restore(stateIndex) {
+    const snapshot = snapshots.get(stateIndex);
+    if (!snapshot) {
+      throw new Error(`State #${stateIndex} has no snapshot.`);
+    }
+
+    snapshots.delete(stateIndex);
+    snapshots.set(stateIndex, snapshot);
+
+    await sceneContext.restoreSerializedScene(JSON.parse(snapshot.json));
+    for (const callback of snapshot.callbacks) {
+      const object = sceneContext.scene.getObjectByProperty("uuid", callback.uuid);
+      if (!object) {
+        continue;
+      }
+
+      object.userData.update = callback.animation
+        ? bindSceneAnimation(object)
+        : bindCallbackSource(callback.source, sceneContext);
+    }
+  }
+
+  return {
+    add,
+    capture,
+    restore,
+    remove,
+    clear,
+    get: (stateIndex) => snapshots.get(stateIndex) || null,
+    has: (stateIndex) => snapshots.has(stateIndex)
+  };
+}
@@ -0,0 +1,149 @@
+import { createHighlightedCode } from "./code-highlight";
+
+const INDENT = "  ";
+const PROBLEM_CLASSES = {
+  error: "text-red-400",
+  warning: "text-amber-300"
+};
+
+function getOffset(text, line, column) {
+  const lines = text.split("\n");
+  const lineIndex = Math.min(Math.max(line, 1), lines.length) - 1;
+  const lineStart = lines
+    .slice(0, lineIndex)
+    .reduce((offset, entry) => offset + entry.length + 1, 0);
+  return lineStart + Math.min(column, lines[lineIndex].length);
+}
+
+// Modal code editor for a scene state. The textarea draws only the caret and selection; the
+// highlighted copy behind it shows the text.
+export function createStateEditor({ onSave }) {
+  const dialogEl = document.getElementById("state-editor");
+  const titleEl = document.getElementById("state-editor-title");
+  const highlightEl = document.getElementById("state-editor-highlight");
+  const inputEl = document.getElementById("state-editor-input");
+  const problemsEl = document.getElementById("state-editor-problems");
+  const rebaseLabelEl = document.getElementById("state-editor-rebase-label");
+  const rebaseEl = document.getElementById("state-editor-rebase");
+  const rebaseTextEl = document.getElementById("state-editor-rebase-text");
+  const saveEl = document.getElementById("state-editor-save");
+  const cancelEl = document.getElementById("state-editor-cancel");
+  const closeEl = document.getElementById("state-editor-close");
+
+  let session = null;
+
+  function syncScroll() {
+    highlightEl.scrollTop = inputEl.scrollTop;
+    highlightEl.scrollLeft = inputEl.scrollLeft;
+  }
+
+  function renderProblems(problems) {
+    problemsEl.innerHTML = "";
+    if (problems.length === 0) {
+      const okEl = document.createElement("li");
+      okEl.className = "text-slate-500";
+      okEl.textContent = "No problems found.";
+      problemsEl.appendChild(okEl);
+      return;
+    }
+
+    problems.forEach(({ severity, line, column, message }) => {
+      const itemEl = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `text-left transition hover:underline ${PROBLEM_CLASSES[severity]}`;
+      button.textContent = `${line}:${column + 1} ${severity}: ${message}`;
+      button.addEventListener("click", () => {
+        const offset = getOffset(inputEl.value, line, column);
+        inputEl.focus();
+        inputEl.setSelectionRange(offset, offset);
+      });
+      itemEl.appendChild(button);
+      problemsEl.appendChild(itemEl);
+    });
+  }
+
+  function refresh() {
+    const source = inputEl.value;
+    // A trailing newline needs a character after it, or the highlight ends a line short.
+    const padded = source.endsWith("\n") ? `${source} ` : source;
+    highlightEl.replaceChildren(createHighlightedCode(padded));
+    syncScroll();
+
+    const problems = session.lint(source);
+    renderProblems(problems);
+    const hasErrors = problems.some((problem) => problem.severity === "error");
+    saveEl.disabled = hasErrors || !source.trim();
+    saveEl.title = hasErrors ? "Fix the errors before saving." : "Run the edit as a new state";
+  }
+
+  // `lint(source)` returns `{ severity, line, column, message }` problems; errors block saving.
+  function open({ stateIndex, title, source, lint, descendantCount = 0 }) {
+    session = { stateIndex, source, lint };
+    titleEl.textContent = title;
+    inputEl.value = source;
+    rebaseEl.checked = false;
+    rebaseLabelEl.classList.toggle("hidden", descendantCount === 0);
+    rebaseTextEl.textContent = `Rebase ${descendantCount} downstream state(s)`;
+
+    dialogEl.classList.remove("hidden");
+    dialogEl.classList.add("flex");
+    refresh();
+    inputEl.focus();
+    inputEl.setSelectionRange(0, 0);
+    inputEl.scrollTop = 0;
+    syncScroll();
+  }
+
+  function close({ force = false } = {}) {
+    if (!session) {
+      return;
+    }
+    if (!force && inputEl.value !== session.source && !window.confirm("Discard your edits?")) {
+      return;
+    }
+
+    session = null;
+    dialogEl.classList.add("hidden");
+    dialogEl.classList.remove("flex");
+  }
+
+  function save() {
+    if (!session || saveEl.disabled) {
+      return;
+    }
+
+    const { stateIndex } = session;
+    const source = inputEl.value;
+    const rebase = rebaseEl.checked && !rebaseLabelEl.classList.contains("hidden");
+    close({ force: true });
+    onSave(stateIndex, source, { rebase });
+  }
+
+  inputEl.addEventListener("input", refresh);
+  inputEl.addEventListener("scroll", syncScroll);
+  inputEl.addEventListener("keydown", (event) => {
+    if (event.key === "Tab" && !event.shiftKey) {
+      event.preventDefault();
+      inputEl.setRangeText(INDENT, inputEl.selectionStart, inputEl.selectionEnd, "end");
+      refresh();
+    } else if (event.key.toLowerCase() === "s" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      save();
+    }
+  });
+  dialogEl.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      close();
+    }
+  });
+  saveEl.addEventListener("click", save);
+  cancelEl.addEventListener("click", () => close());
+  closeEl.addEventListener("click", () => close());
+
+  return {
+    open,
+    close
+  };
+}
@@ -1,3 +1,19 @@
+import { createHighlightedCode } from "./code-highlight";
+import { renderMarkdown } from "./markdown";
+
+const REVIEW_BUTTON_CLASS =
+  "rounded border border-slate-700 px-2 py-0.5 text-xs text-slate-300 transition hover:border-slate-500 hover:text-slate-100 disabled:cursor-not-allowed disabled:opacity-35";
+
+function getCommonPrefix(values) {
+  return values.reduce((prefix, value) => {
+    let length = 0;
+    while (length < prefix.length && prefix[length] === value[length]) {
+      length += 1;
+    }
+    return prefix.slice(0, length);
+  });
+}
+
 function createLine(className, text) {
   const line = document.createElement("div");
   line.className = `mb-1 whitespace-pre-wrap leading-relaxed ${className}`;
@@ -10,22 +26,49 @@ export function createTerminal(onSubmit) {
   const formEl = document.getElementById("terminal-form");
   const inputEl = document.getElementById("terminal-input");
   const providerEl = document.getElementById("provider-select");
+  const protocolEl = document.getElementById("protocol-select");
+  const autoRepairEl = document.getElementById("auto-repair-select");
+  const sandboxToggleEl = document.getElementById("sandbox-toggle");
+  const reviewToggleEl = document.getElementById("review-toggle");
   const providerApiKeyContainerEl = document.getElementById("api-key-container");
   const providerApiKeyInputEl = document.getElementById("provider-api-key");
   const apiKeyValidationEl = document.getElementById("api-key-validation");
   const apiKeyClearButtonEl = document.getElementById("api-key-clear");
   const statusEl = document.getElementById("terminal-status");
+  const selectionBarEl = document.getElementById("selection-bar");
+  const commandHintEl = document.getElementById("command-hint");
+  const exportMenuEl = document.getElementById("export-menu");
+  const exportFormEl = document.getElementById("export-form");
+  const exportFormatEl = document.getElementById("export-format");
+  const exportIncludeBaseEl = document.getElementById("export-include-base");
+  const exportBakeEl = document.getElementById("export-bake");
+  const exportBakeSecondsEl = document.getElementById("export-bake-seconds");
+  const exportButtonEl = document.getElementById("export-button");
+  const recordMenuEl = document.getElementById("record-menu");
+  const recordSummaryEl = document.getElementById("record-summary");
+  const recordFormEl = document.getElementById("record-form");
+  const recordModeEl = document.getElementById("record-mode");
+  const recordSecondsEl = document.getElementById("record-seconds");
+  const recordFpsEl = document.getElementById("record-fps");
+  const recordWidthEl = document.getElementById("record-width");
+  const recordButtonEl = document.getElementById("record-button");
   const submitButton = formEl.querySelector("button[type='submit']");
 
+  const logEntries = [];
   let thinkingLine = null;
+  let streamingLine = null;
   let activeToastEl = null;
   let activeToastTimeoutId = null;
+  let selectionRemoveCallback = null;
+  let runCodeCallback = null;
+  let commands = [];
 
   function scrollToBottom() {
     logEl.scrollTop = logEl.scrollHeight;
   }
 
-  function addLine(role, text, action) {
+  // `markdown` renders the text (assistant replies) instead of printing it verbatim.
+  function addLine(role, text, action, { markdown = false } = {}) {
     const roleClass =
       role === "user"
         ? "text-emerald-400"
@@ -34,8 +77,9 @@ export function createTerminal(onSubmit) {
           : "text-red-400";
 
     const prefix = role === "user" ? "> " : role === "assistant" ? "< " : "! ";
+    logEntries.push({ role, text, meta: action?.meta ?? null, markdown });
 
-    if (!action) {
+    if (!action && !markdown) {
       logEl.appendChild(createLine(roleClass, `${prefix}${text}`));
       scrollToBottom();
       return null;
@@ -44,10 +88,24 @@ export function createTerminal(onSubmit) {
     const wrapper = document.createElement("div");
     wrapper.className = `mb-1 flex items-start gap-2 leading-relaxed ${roleClass}`;
 
-    const textEl = document.createElement("div");
-    textEl.className = "flex-1 whitespace-pre-wrap";
-    textEl.textContent = `${prefix}${text}`;
-    wrapper.appendChild(textEl);
+    if (markdown) {
+      const prefixEl = document.createElement("span");
+      prefixEl.className = "shrink-0 whitespace-pre";
+      prefixEl.textContent = prefix;
+      const contentEl = renderMarkdown(text, { onRunCode: (code) => runCodeCallback?.(code) });
+      wrapper.append(prefixEl, contentEl);
+    } else {
+      const textEl = document.createElement("div");
+      textEl.className = "flex-1 whitespace-pre-wrap";
+      textEl.textContent = `${prefix}${text}`;
+      wrapper.appendChild(textEl);
+    }
+
+    if (!action) {
+      logEl.appendChild(wrapper);
+      scrollToBottom();
+      return null;
+    }
 
     const button = document.createElement("button");
     button.type = "button";
@@ -64,6 +122,17 @@ export function createTerminal(onSubmit) {
     return { line: wrapper, button };
   }
 
+  function getLog() {
+    return logEntries.map((entry) => ({ ...entry }));
+  }
+
+  function clearLog() {
+    hideThinking();
+    finishStreamingMessage();
+    logEntries.length = 0;
+    logEl.innerHTML = "";
+  }
+
   function setStatus(text) {
     statusEl.textContent = text;
   }
@@ -86,12 +155,228 @@ export function createTerminal(onSubmit) {
     return providerEl.value;
   }
 
+  function setSelectedProvider(providerId) {
+    providerEl.value = providerId;
+  }
+
+  function getSelectedProtocol() {
+    return protocolEl instanceof HTMLSelectElement ? protocolEl.value : "code";
+  }
+
+  function getAutoRepairAttempts() {
+    if (!(autoRepairEl instanceof HTMLSelectElement)) {
+      return 0;
+    }
+
+    const attempts = Number.parseInt(autoRepairEl.value, 10);
+    return Number.isFinite(attempts) && attempts > 0 ? attempts : 0;
+  }
+
+  function isSandboxEnabled() {
+    return sandboxToggleEl instanceof HTMLInputElement ? sandboxToggleEl.checked : true;
+  }
+
+  function isReviewEnabled() {
+    return reviewToggleEl instanceof HTMLInputElement ? reviewToggleEl.checked : false;
+  }
+
+  function createReviewButton(text, title) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.title = title;
+    button.className = REVIEW_BUTTON_CLASS;
+    return button;
+  }
+
+  // Shows generated code in the log with Run, Edit and Discard, and resolves with the decision:
+  // `{ action: "run" | "discard", code }`. `validate` may throw to keep an edit in review.
+  function showCodeReview({ code, title = "Review generated code", validate } = {}) {
+    const panel = document.createElement("div");
+    panel.className = "mb-2 rounded border border-slate-700 bg-slate-900/70 p-2 text-slate-100";
+
+    const headerEl = document.createElement("div");
+    headerEl.className = "mb-1 text-xs uppercase tracking-wide text-slate-400";
+    headerEl.textContent = title;
+
+    const previewEl = document.createElement("pre");
+    previewEl.className = "max-h-72 overflow-auto whitespace-pre text-xs leading-relaxed";
+    previewEl.appendChild(createHighlightedCode(code));
+
+    const editorEl = document.createElement("textarea");
+    editorEl.className =
+      "hidden h-56 w-full resize-y rounded border border-slate-700 bg-slate-950 p-2 font-mono text-xs leading-relaxed text-slate-100 focus:border-cyan-500 focus:outline-none";
+    editorEl.spellcheck = false;
+    editorEl.value = code;
+    editorEl.setAttribute("aria-label", "Edit generated code");
+
+    const errorEl = document.createElement("div");
+    errorEl.className = "mt-1 hidden text-xs text-red-400";
+
+    const actionsEl = document.createElement("div");
+    actionsEl.className = "mt-2 flex items-center gap-2";
+    const runButton = createReviewButton("Run", "Run this code (Ctrl/Cmd+Enter while editing)");
+    const editButton = createReviewButton("Edit", "Edit the code before running it");
+    const discardButton = createReviewButton("Discard", "Drop this code without running it");
+    const outcomeEl = document.createElement("span");
+    outcomeEl.className = "text-xs text-slate-500";
+    actionsEl.append(runButton, editButton, discardButton, outcomeEl);
+
+    panel.append(headerEl, previewEl, editorEl, errorEl, actionsEl);
+    logEl.appendChild(panel);
+    scrollToBottom();
+
+    let editing = false;
+    const showPreview = (text) => {
+      previewEl.replaceChildren(createHighlightedCode(text));
+      previewEl.classList.remove("hidden");
+      editorEl.classList.add("hidden");
+      editButton.textContent = "Edit";
+      editing = false;
+    };
+
+    return new Promise((resolve) => {
+      const finish = (action, text, outcome) => {
+        [runButton, editButton, discardButton].forEach((button) => {
+          button.disabled = true;
+        });
+        editorEl.readOnly = true;
+        outcomeEl.textContent = outcome;
+        resolve({ action, code: text });
+      };
+
+      const run = () => {
+        const text = editorEl.value;
+        try {
+          validate?.(text);
+        } catch (error) {
+          errorEl.textContent = error instanceof Error ? error.message : "The code is invalid.";
+          errorEl.classList.remove("hidden");
+          return;
+        }
+
+        errorEl.classList.add("hidden");
+        showPreview(text);
+        finish("run", text, text === code ? "Ran." : "Ran the edited code.");
+      };
+
+      runButton.addEventListener("click", run);
+      discardButton.addEventListener("click", () => {
+        showPreview(code);
+        finish("discard", code, "Discarded.");
+      });
+      editButton.addEventListener("click", () => {
+        if (editing) {
+          showPreview(editorEl.value);
+          return;
+        }
+
+        previewEl.classList.add("hidden");
+        editorEl.classList.remove("hidden");
+        editButton.textContent = "Preview";
+        editing = true;
+        editorEl.focus();
+      });
+      editorEl.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+          event.preventDefault();
+          run();
+        }
+      });
+    });
+  }
+
   function onProviderChange(callback) {
     providerEl.addEventListener("change", () => {
       callback(providerEl.value);
     });
   }
 
+  function createChipButton(text, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.title = title;
+    button.setAttribute("aria-label", title);
+    button.className = "leading-none text-cyan-400 transition hover:text-cyan-100";
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function setSelection(labels) {
+    selectionBarEl.innerHTML = "";
+    selectionBarEl.classList.toggle("hidden", labels.length === 0);
+    selectionBarEl.classList.toggle("flex", labels.length > 0);
+    if (labels.length === 0) {
+      return;
+    }
+
+    const titleEl = document.createElement("span");
+    titleEl.className = "uppercase tracking-wide text-slate-400";
+    titleEl.textContent = "Selected";
+    selectionBarEl.appendChild(titleEl);
+
+    labels.forEach((label, index) => {
+      const chipEl = document.createElement("span");
+      chipEl.className =
+        "inline-flex items-center gap-1 rounded-full border border-cyan-700 bg-cyan-950/60 px-2 py-0.5 text-cyan-200";
+      chipEl.textContent = label;
+      chipEl.appendChild(
+        createChipButton("✕", `Deselect ${label}`, () => selectionRemoveCallback?.(index))
+      );
+      selectionBarEl.appendChild(chipEl);
+    });
+
+    if (labels.length > 1) {
+      selectionBarEl.appendChild(
+        createChipButton("Clear", "Clear selection", () => selectionRemoveCallback?.(null))
+      );
+    }
+  }
+
+  function onSelectionRemove(callback) {
+    selectionRemoveCallback = callback;
+  }
+
+  function onExportRequest(callback) {
+    exportFormEl.addEventListener("submit", (event) => {
+      event.preventDefault();
+      exportMenuEl.open = false;
+      callback({
+        format: exportFormatEl.value,
+        includeBaseObjects: exportIncludeBaseEl.checked,
+        bakeAnimations: exportBakeEl.checked,
+        bakeSeconds: Number.parseFloat(exportBakeSecondsEl.value)
+      });
+    });
+  }
+
+  function onRunCode(callback) {
+    runCodeCallback = callback;
+  }
+
+  function onRecordRequest(callback) {
+    recordFormEl.addEventListener("submit", (event) => {
+      event.preventDefault();
+      recordMenuEl.open = false;
+      callback({
+        mode: recordModeEl.value,
+        seconds: Number.parseFloat(recordSecondsEl.value),
+        fps: Number.parseFloat(recordFpsEl.value),
+        width: Number.parseFloat(recordWidthEl.value)
+      });
+    });
+  }
+
+  // `status` replaces the menu label while a recording or frame capture runs; "" resets it.
+  function setRecordStatus(status, { recording = false } = {}) {
+    recordSummaryEl.textContent = status || "Record";
+    recordSummaryEl.classList.toggle("text-red-400", Boolean(status));
+    recordSummaryEl.classList.toggle("border-red-500", Boolean(status));
+    recordButtonEl.textContent = recording ? "Stop" : "Start";
+    recordModeEl.disabled = recording;
+  }
+
   function setApiKeyRequirement(required, providerLabel) {
     if (
       !(providerApiKeyContainerEl instanceof HTMLElement) ||
@@ -247,16 +532,62 @@ export function createTerminal(onSubmit) {
     }
   }
 
+  function startStreamingMessage() {
+    hideThinking();
+    finishStreamingMessage();
+
+    const line = createLine("text-amber-300/80", "< ");
+    logEl.appendChild(line);
+    streamingLine = line;
+    scrollToBottom();
+
+    let text = "";
+    return {
+      append(delta) {
+        if (streamingLine !== line) {
+          return;
+        }
+
+        const shouldStick = logEl.scrollHeight - logEl.scrollTop - logEl.clientHeight < 24;
+        text += delta;
+        line.textContent = `< ${text}`;
+        if (shouldStick) {
+          scrollToBottom();
+        }
+      }
+    };
+  }
+
+  function finishStreamingMessage() {
+    if (streamingLine) {
+      streamingLine.remove();
+      streamingLine = null;
+    }
+  }
+
   function disableInput(disabled) {
     inputEl.disabled = disabled;
     submitButton.disabled = disabled;
     providerEl.disabled = disabled;
+    if (protocolEl instanceof HTMLSelectElement) {
+      protocolEl.disabled = disabled;
+    }
+    if (autoRepairEl instanceof HTMLSelectElement) {
+      autoRepairEl.disabled = disabled;
+    }
+    if (sandboxToggleEl instanceof HTMLInputElement) {
+      sandboxToggleEl.disabled = disabled;
+    }
+    if (reviewToggleEl instanceof HTMLInputElement) {
+      reviewToggleEl.disabled = disabled;
+    }
     if (providerApiKeyInputEl instanceof HTMLInputElement) {
       providerApiKeyInputEl.disabled = disabled;
     }
     if (apiKeyClearButtonEl instanceof HTMLButtonElement) {
       apiKeyClearButtonEl.disabled = disabled;
     }
+    exportButtonEl.disabled = disabled;
   }
 
   function focusInput() {
@@ -265,8 +596,76 @@ export function createTerminal(onSubmit) {
 
   function clearInput() {
     inputEl.value = "";
+    showCommandHint("");
   }
 
+  // Commands are `{ name, usage, description, complete }`; `complete` lists argument values.
+  function setCommands(nextCommands) {
+    commands = nextCommands;
+  }
+
+  function showCommandHint(text) {
+    commandHintEl.textContent = text;
+    commandHintEl.classList.toggle("hidden", !text);
+  }
+
+  function getCommandCandidates(value) {
+    const spaceIndex = value.indexOf(" ");
+    if (spaceIndex === -1) {
+      return commands
+        .filter((command) => `/${command.name}`.startsWith(value.toLowerCase()))
+        .map((command) => ({ value: `/${command.name}`, hint: command.usage, command }));
+    }
+
+    const name = value.slice(1, spaceIndex).toLowerCase();
+    const command = commands.find((entry) => entry.name === name);
+    const argument = value.slice(spaceIndex + 1).trimStart();
+    return (command?.complete?.() ?? [])
+      .filter((option) => option.startsWith(argument))
+      .map((option) => ({ value: `/${name} ${option}`, hint: option }));
+  }
+
+  function completeCommand() {
+    const candidates = getCommandCandidates(inputEl.value);
+    if (candidates.length === 0) {
+      showCommandHint("No matching command. Type /help to list commands.");
+      return;
+    }
+
+    if (candidates.length === 1) {
+      const [candidate] = candidates;
+      const takesArgument = candidate.command?.usage.includes(" ");
+      inputEl.value = takesArgument ? `${candidate.value} ` : candidate.value;
+      showCommandHint(candidate.command ? candidate.command.usage : "");
+      return;
+    }
+
+    inputEl.value = getCommonPrefix(candidates.map((candidate) => candidate.value));
+    showCommandHint(candidates.map((candidate) => candidate.hint).join("  ·  "));
+  }
+
+  inputEl.addEventListener("keydown", (event) => {
+    if (event.key === "Tab" && inputEl.value.startsWith("/")) {
+      event.preventDefault();
+      completeCommand();
+    }
+  });
+
+  inputEl.addEventListener("input", () => {
+    const value = inputEl.value;
+    if (!value.startsWith("/") || value.includes(" ")) {
+      showCommandHint("");
+      return;
+    }
+
+    const matches = getCommandCandidates(value);
+    showCommandHint(
+      matches.length > 0
+        ? `${matches.map((match) => match.hint).join("  ·  ")}  (Tab to complete)`
+        : "No matching command. Type /help to list commands."
+    );
+  });
+
   formEl.addEventListener("submit", (event) => {
     event.preventDefault();
     const text = inputEl.value.trim();
@@ -283,17 +682,37 @@ export function createTerminal(onSubmit) {
     addAssistantMessage(text) {
       addLine("assistant", text);
     },
-    addAssistantMessageWithAction(text, action) {
-      return addLine("assistant", text, action);
+    addAssistantMarkdown(text, action) {
+      return addLine("assistant", text, action, { markdown: true });
     },
     addError(text) {
       addLine("error", text);
     },
+    addErrorWithAction(text, action) {
+      return addLine("error", text, action);
+    },
+    getLog,
+    clearLog,
     showThinking,
     hideThinking,
+    startStreamingMessage,
+    finishStreamingMessage,
     setProviders,
     getSelectedProvider,
+    setSelectedProvider,
+    setCommands,
+    getSelectedProtocol,
+    getAutoRepairAttempts,
+    isSandboxEnabled,
+    isReviewEnabled,
+    showCodeReview,
     onProviderChange,
+    onExportRequest,
+    onRecordRequest,
+    onRunCode,
+    setRecordStatus,
+    setSelection,
+    onSelectionRemove,
     setApiKeyRequirement,
     getApiKey,
     setApiKey,
@@ -0,0 +1,134 @@
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+
+import { getObjectReference } from "./selection";
+
+const MODE_KEYS = { w: "translate", e: "rotate", r: "scale" };
+
+function formatValues(values) {
+  return values.map((value) => Math.round(value * 10000) / 10000 || 0).join(", ");
+}
+
+export function isTypingTarget(target) {
+  return (
+    target instanceof HTMLInputElement ||
+    target instanceof HTMLTextAreaElement ||
+    target instanceof HTMLSelectElement ||
+    (target instanceof HTMLElement && target.isContentEditable)
+  );
+}
+
+// Code that reproduces the object's current transform.
+export function createTransformCode(object, scene) {
+  const { x, y, z } = object.rotation;
+
+  return [
+    `const object = ${getObjectReference(object, scene)};`,
+    `object.position.set(${formatValues(object.position.toArray())});`,
+    `object.rotation.set(${formatValues([x, y, z])});`,
+    `object.scale.set(${formatValues(object.scale.toArray())});`
+  ].join("\n");
+}
+
+export function createTransformGizmo(sceneContext, { onTransformEnd }) {
+  const { overlay, camera, renderer, controls } = sceneContext;
+  const toolbarEl = document.getElementById("gizmo-toolbar");
+  const modeButtons = [...toolbarEl.querySelectorAll("[data-gizmo-mode]")];
+  const transformControls = new TransformControls(camera, renderer.domElement);
+  const helper = transformControls.getHelper();
+  let dragStart = null;
+  let orbitWasEnabled = true;
+
+  function setMode(mode) {
+    transformControls.setMode(mode);
+    modeButtons.forEach((button) => {
+      const active = button.dataset.gizmoMode === mode;
+      button.classList.toggle("border-cyan-500", active);
+      button.classList.toggle("text-cyan-300", active);
+      button.setAttribute("aria-pressed", String(active));
+    });
+  }
+
+  function attach(object) {
+    if (object) {
+      transformControls.attach(object);
+      overlay.add(helper);
+    } else {
+      transformControls.detach();
+      overlay.remove(helper);
+    }
+
+    toolbarEl.classList.toggle("hidden", !object);
+    toolbarEl.classList.toggle("flex", Boolean(object));
+  }
+
+  transformControls.addEventListener("dragging-changed", (event) => {
+    if (event.value) {
+      orbitWasEnabled = controls.enabled;
+      controls.enabled = false;
+    } else {
+      controls.enabled = orbitWasEnabled;
+    }
+  });
+
+  transformControls.addEventListener("mouseDown", () => {
+    const { object } = transformControls;
+    dragStart = {
+      position: object.position.clone(),
+      quaternion: object.quaternion.clone(),
+      scale: object.scale.clone()
+    };
+  });
+
+  transformControls.addEventListener("mouseUp", (event) => {
+    const { object } = transformControls;
+    const start = dragStart;
+    dragStart = null;
+    if (
+      !object ||
+      !start ||
+      (object.position.equals(start.position) &&
+        object.quaternion.equals(start.quaternion) &&
+        object.scale.equals(start.scale))
+    ) {
+      return;
+    }
+
+    onTransformEnd(object, {
+      mode: event.mode,
+      restore() {
+        object.position.copy(start.position);
+        object.quaternion.copy(start.quaternion);
+        object.scale.copy(start.scale);
+      }
+    });
+  });
+
+  modeButtons.forEach((button) => {
+    button.addEventListener("click", () => setMode(button.dataset.gizmoMode));
+  });
+
+  window.addEventListener("keydown", (event) => {
+    const mode = MODE_KEYS[event.key.toLowerCase()];
+    if (
+      !mode ||
+      !transformControls.object ||
+      event.ctrlKey ||
+      event.metaKey ||
+      event.altKey ||
+      isTypingTarget(event.target)
+    ) {
+      return;
+    }
+
+    setMode(mode);
+  });
+
+  setMode("translate");
+
+  return {
+    attach,
+    isDragging() {
+      return transformControls.dragging;
+    }
+  };
+}
@@ -0,0 +1,190 @@
+import { zipSync } from "fflate";
+import { applyPalette, GIFEncoder, quantize } from "gifenc";
+
+import { createFileName } from "./scene-exporter";
+
+const WEBM_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+const DEFAULT_FPS = 30;
+const MAX_FPS = 60;
+const DEFAULT_SECONDS = 5;
+const MAX_SECONDS = 60;
+const DEFAULT_FRAME_WIDTH = 640;
+const RECORDING_TICK_MS = 250;
+
+function readNumber(value, fallback, min, max) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error("Could not encode a frame as PNG."));
+      }
+    }, "image/png");
+  });
+}
+
+// Lets the page repaint between frames; the scene loop only re-renders while playback is paused.
+function yieldToBrowser() {
+  return new Promise((resolve) => window.setTimeout(resolve, 0));
+}
+
+export function createViewportRecorder(sceneContext) {
+  const { renderer, scene, camera, overlay, playback } = sceneContext;
+  const canvas = renderer.domElement;
+  let activeRecorder = null;
+
+  // Records the live canvas until `stop` is called or `seconds` have passed. Editor helpers such
+  // as selection boxes and the gizmo are hidden meanwhile.
+  function startLiveRecording({ fps = DEFAULT_FPS, seconds = DEFAULT_SECONDS, onTick } = {}) {
+    if (activeRecorder) {
+      throw new Error("A recording is already running.");
+    }
+    if (typeof MediaRecorder === "undefined" || typeof canvas.captureStream !== "function") {
+      throw new Error("This browser cannot record the canvas to video.");
+    }
+
+    const mimeType = WEBM_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+      throw new Error("This browser cannot encode WebM video.");
+    }
+
+    const maxSeconds = readNumber(seconds, DEFAULT_SECONDS, 0.5, MAX_SECONDS);
+    const stream = canvas.captureStream(readNumber(fps, DEFAULT_FPS, 1, MAX_FPS));
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    const startedAt = performance.now();
+    let tickIntervalId = 0;
+
+    const cleanup = () => {
+      window.clearInterval(tickIntervalId);
+      stream.getTracks().forEach((track) => track.stop());
+      overlay.visible = true;
+      activeRecorder = null;
+    };
+
+    const finished = new Promise((resolve, reject) => {
+      recorder.addEventListener("dataavailable", (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      });
+      recorder.addEventListener("stop", () => {
+        cleanup();
+        resolve({
+          blob: new Blob(chunks, { type: "video/webm" }),
+          fileName: createFileName("webm", "recording"),
+          seconds: (performance.now() - startedAt) / 1000
+        });
+      });
+      recorder.addEventListener("error", (event) => {
+        cleanup();
+        reject(event.error instanceof Error ? event.error : new Error("Recording failed."));
+      });
+    });
+
+    tickIntervalId = window.setInterval(() => {
+      const elapsed = (performance.now() - startedAt) / 1000;
+      onTick?.(elapsed);
+      if (elapsed >= maxSeconds) {
+        stopLiveRecording();
+      }
+    }, RECORDING_TICK_MS);
+
+    overlay.visible = false;
+    recorder.start(1000);
+    activeRecorder = recorder;
+    return finished;
+  }
+
+  function stopLiveRecording() {
+    if (activeRecorder?.state === "recording") {
+      activeRecorder.stop();
+    }
+  }
+
+  // Frame-by-frame capture: scene time advances exactly 1 / fps per frame, so the output does
+  // not depend on how fast this machine renders or encodes.
+  async function recordFrames(options = {}) {
+    const { format = "gif", onProgress } = options;
+    if (format !== "gif" && format !== "png") {
+      throw new Error(`Unknown frame format '${format}'. Use gif or png.`);
+    }
+
+    const fps = Math.round(readNumber(options.fps, DEFAULT_FPS, 1, MAX_FPS));
+    const seconds = readNumber(options.seconds, DEFAULT_SECONDS, 1 / fps, MAX_SECONDS);
+    const frameCount = Math.max(1, Math.round(seconds * fps));
+    const width = Math.round(
+      Math.min(canvas.width, readNumber(options.width, DEFAULT_FRAME_WIDTH, 16, 4096))
+    );
+    const height = Math.max(1, Math.round((canvas.height * width) / canvas.width));
+
+    const frameCanvas = document.createElement("canvas");
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const context = frameCanvas.getContext("2d", { willReadFrequently: true });
+    if (!context) {
+      throw new Error("Could not create a canvas to capture frames.");
+    }
+
+    const { playing } = playback.getState();
+    const gif = format === "gif" ? GIFEncoder() : null;
+    const files = {};
+    playback.setPlaying(false);
+    try {
+      for (let index = 0; index < frameCount; index += 1) {
+        if (index > 0) {
+          playback.step(1 / fps);
+        }
+        renderer.render(scene, camera);
+        context.drawImage(canvas, 0, 0, width, height);
+
+        if (gif) {
+          const { data } = context.getImageData(0, 0, width, height);
+          const palette = quantize(data, 256);
+          gif.writeFrame(applyPalette(data, palette), width, height, {
+            palette,
+            delay: 1000 / fps
+          });
+        } else {
+          const png = await canvasToPng(frameCanvas);
+          files[`frame_${String(index + 1).padStart(4, "0")}.png`] = new Uint8Array(
+            await png.arrayBuffer()
+          );
+        }
+
+        onProgress?.(index + 1, frameCount);
+        await yieldToBrowser();
+      }
+    } finally {
+      playback.setPlaying(playing);
+    }
+
+    if (gif) {
+      gif.finish();
+      return {
+        blob: new Blob([gif.bytes()], { type: "image/gif" }),
+        fileName: createFileName("gif", "recording"),
+        frameCount
+      };
+    }
+
+    // PNG data is already compressed, so the archive only stores it.
+    return {
+      blob: new Blob([zipSync(files, { level: 0 })], { type: "application/zip" }),
+      fileName: createFileName("zip", "recording"),
+      frameCount
+    };
+  }
+
+  return {
+    startLiveRecording,
+    stopLiveRecording,
+    recordFrames,
+    isRecording: () => activeRecorder !== null
+  };
+}